@@ -0,0 +1,164 @@
+/**
+ * ReDD Block companion extension
+ *
+ * Gets the running blocks from the app's native messaging host, which relays
+ * them from the helper daemon. When a block starts, tabs already on its sites
+ * are closed; later visits go to a page saying how long the block has left,
+ * and each one is reported back to the helper as an attempt.
+ */
+
+// Must match the name in helper/native-host.js
+const NATIVE_HOST_NAME = 'org.reddfocus.redd_block';
+
+// Reconnects to the host and refreshes the blocks in case an update was missed
+const REFRESH_ALARM = 'refresh-blocks';
+const REFRESH_MINUTES = 1;
+
+const BLOCKED_PAGE = chrome.runtime.getURL('blocked.html');
+
+let port = null;
+let blocks = [];
+
+// Blocks survive the background script being stopped and restarted
+const restored = chrome.storage.session.get('blocks').then((stored) => {
+    blocks = stored.blocks || [];
+});
+
+// Matching (mirrors the helper's hosts file, DNS proxy and browser policies)
+
+function matchesDomain(host, domain) {
+    return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Path entries are prefixes, as in Chromium's URL block lists
+function matchesPath(pathname, entryPath) {
+    return pathname.startsWith(`/${entryPath}`);
+}
+
+function isUrlBlockedBy(url, block) {
+    const host = url.hostname.toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+
+    if (block.mode === 'allowlist') {
+        if (!block.allowedHosts.some(domain => matchesDomain(host, domain))) {
+            return true;
+        }
+        // Sites the allowlist only allows part of
+        const entries = block.entries.filter(entry => matchesDomain(host, entry.host));
+        if (entries.length === 0 || entries.some(entry => !entry.path)) {
+            return false;
+        }
+        return !entries.some(entry => matchesPath(url.pathname, entry.path));
+    }
+
+    return block.entries.some(entry => {
+        if (entry.path) {
+            return matchesDomain(host, entry.host) && matchesPath(url.pathname, entry.path);
+        }
+        return block.subdomains ? matchesDomain(host, entry.host) : host === entry.host;
+    });
+}
+
+/**
+ * Find the running block that covers a URL
+ * @param {string} value - The URL
+ * @param {Object[]} [candidates] - Blocks to check, all running blocks by default
+ * @returns {Object|null}
+ */
+function findBlock(value, candidates = blocks) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return null;
+    }
+
+    const now = Date.now();
+    return candidates.find(block => block.endTime > now && isUrlBlockedBy(url, block)) || null;
+}
+
+// Native host
+
+function connect() {
+    if (port) return;
+
+    port = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+    port.onMessage.addListener(handleHostMessage);
+    port.onDisconnect.addListener(() => {
+        const error = chrome.runtime.lastError;
+        console.warn('Disconnected from the ReDD Block app:', error ? error.message : 'host exited');
+        // Known blocks stay enforced until they end; the alarm reconnects
+        port = null;
+    });
+}
+
+function postToHost(message) {
+    connect();
+    try {
+        port.postMessage(message);
+    } catch (err) {
+        console.warn('Failed to reach the ReDD Block app:', err.message);
+    }
+}
+
+async function handleHostMessage(message) {
+    if (!message || message.type !== 'blocks') return;
+    if (!message.helperAvailable) {
+        // Keep what we know rather than lifting blocks because the helper is restarting
+        console.warn('ReDD Block helper unavailable:', message.error);
+        return;
+    }
+
+    await restored;
+    const knownIds = new Set(blocks.map(block => block.blockId));
+    const started = message.blocks.filter(block => !knownIds.has(block.blockId));
+
+    blocks = message.blocks;
+    await chrome.storage.session.set({ blocks });
+
+    if (started.length > 0) {
+        closeBlockedTabs(started);
+    }
+}
+
+// Tabs
+
+async function closeBlockedTabs(startedBlocks) {
+    const tabs = await chrome.tabs.query({});
+    const blockedTabIds = tabs
+        .filter(tab => tab.url && findBlock(tab.url, startedBlocks))
+        .map(tab => tab.id);
+
+    if (blockedTabIds.length > 0) {
+        await chrome.tabs.remove(blockedTabIds);
+    }
+}
+
+function getBlockedPageUrl(url, block) {
+    const params = new URLSearchParams({ url, until: String(block.endTime), blockId: block.blockId });
+    return `${BLOCKED_PAGE}?${params}`;
+}
+
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+    if (details.frameId !== 0) return;
+
+    await restored;
+    const block = findBlock(details.url);
+    if (!block) return;
+
+    chrome.tabs.update(details.tabId, { url: getBlockedPageUrl(details.url, block) });
+    postToHost({ type: 'attempt', blockId: block.blockId, url: details.url });
+});
+
+// Startup and refresh
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === REFRESH_ALARM) {
+        postToHost({ type: 'get-blocks' });
+    }
+});
+
+chrome.alarms.create(REFRESH_ALARM, { periodInMinutes: REFRESH_MINUTES });
+connect();
@@ -0,0 +1,61 @@
+/**
+ * Page shown instead of a blocked site, counting down the time the block has left
+ */
+
+const params = new URLSearchParams(location.search);
+const blockedUrl = parseBlockedUrl(params.get('url'));
+const endTime = Number(params.get('until'));
+
+// Only a web page is offered to continue to; anything else (a javascript: URL
+// in a crafted link, or no URL at all) is left out
+function parseBlockedUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function formatRemaining(ms) {
+    const totalMinutes = Math.ceil(ms / 60000);
+    if (totalMinutes < 60) {
+        return `${totalMinutes} min${totalMinutes !== 1 ? 's' : ''}`;
+    }
+    const hours = Math.floor(totalMinutes / 60);
+    const mins = totalMinutes % 60;
+    if (mins === 0) {
+        return `${hours} hour${hours !== 1 ? 's' : ''}`;
+    }
+    return `${hours}h ${mins}m`;
+}
+
+function update() {
+    const remaining = endTime - Date.now();
+
+    if (remaining > 0) {
+        document.getElementById('blocked-remaining').textContent = `${formatRemaining(remaining)} remaining`;
+        return;
+    }
+
+    document.getElementById('blocked-remaining').textContent = 'This block has ended';
+    document.getElementById('blocked-until').textContent = '';
+    if (blockedUrl) {
+        const link = document.getElementById('blocked-continue');
+        link.href = blockedUrl.href;
+        link.classList.remove('hidden');
+    }
+    clearInterval(timer);
+}
+
+if (blockedUrl) {
+    document.getElementById('blocked-site').textContent = blockedUrl.hostname;
+}
+
+if (endTime) {
+    const until = new Date(endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    document.getElementById('blocked-until').textContent = `Until ${until}`;
+}
+
+const timer = setInterval(update, 1000);
+update();
@@ -0,0 +1,56 @@
+/**
+ * Client authentication for the ReDD Block helper socket
+ *
+ * The installer writes a per-install secret to a file only the app's user can
+ * read and copies it to one only root can read. On every connection the
+ * helper sends a random challenge and the client proves it knows the secret
+ * by answering with an HMAC of the challenge, so the secret itself never
+ * crosses the socket.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a new shared secret
+ * @returns {string} Hex-encoded secret
+ */
+function createSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Generate a challenge for a new connection
+ * @returns {string} Hex-encoded nonce
+ */
+function createChallenge() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Answer a challenge
+ * @param {string} secret - Shared secret
+ * @param {string} challenge - Challenge sent by the helper
+ * @returns {string} Hex-encoded HMAC-SHA256 of the challenge
+ */
+function computeResponse(secret, challenge) {
+    return crypto.createHmac('sha256', secret).update(String(challenge)).digest('hex');
+}
+
+/**
+ * Check a client's answer to a challenge in constant time
+ * @param {string} secret - Shared secret
+ * @param {string} challenge - Challenge sent to the client
+ * @param {string} response - Client's answer
+ */
+function verifyResponse(secret, challenge, response) {
+    const expected = Buffer.from(computeResponse(secret, challenge), 'hex');
+    const actual = Buffer.from(String(response || ''), 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+    createSecret,
+    createChallenge,
+    computeResponse,
+    verifyResponse
+};
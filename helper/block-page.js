@@ -0,0 +1,272 @@
+/**
+ * Block page for the ReDD Block helper
+ *
+ * While a block with the block page option runs, its sites resolve to
+ * loopback and this server answers there, so browsers show which blocklist
+ * is blocking the site and when the block ends instead of a connection
+ * error. HTTPS visits can't be shown a page without a certificate the
+ * browser trusts: on those the site name is read from the TLS handshake and
+ * the connection closed. Either way the visit counts as an attempt.
+ *
+ * HTTP and TLS are told apart by their first byte, so every port serves
+ * both; sandboxed helpers use a single unprivileged port.
+ */
+
+const http = require('http');
+const net = require('net');
+
+const BLOCK_PAGE_IPV4 = '127.0.0.1';
+const BLOCK_PAGE_IPV6 = '::1';
+const BLOCK_PAGE_PORTS = [80, 443];
+
+// First byte of a TLS record that carries a handshake message
+const TLS_HANDSHAKE = 0x16;
+const TLS_RECORD_HEADER = 5;
+const MAX_TLS_RECORD = 16 * 1024;
+
+// Connections that send nothing (or half a handshake) are dropped after this long
+const CONNECTION_TIMEOUT = 10 * 1000;
+
+/**
+ * Read the server name (SNI) from a TLS ClientHello
+ * @param {Buffer} data - The first TLS record a client sent
+ * @returns {string|null}
+ */
+function parseServerName(data) {
+    try {
+        if (data[0] !== TLS_HANDSHAKE || data[TLS_RECORD_HEADER] !== 0x01) return null;
+
+        // Record header, handshake header, client version and random
+        let offset = TLS_RECORD_HEADER + 4 + 2 + 32;
+        offset += 1 + data[offset];                     // Session ID
+        offset += 2 + data.readUInt16BE(offset);        // Cipher suites
+        offset += 1 + data[offset];                     // Compression methods
+
+        const extensionsEnd = offset + 2 + data.readUInt16BE(offset);
+        offset += 2;
+
+        while (offset + 4 <= extensionsEnd) {
+            const type = data.readUInt16BE(offset);
+            const length = data.readUInt16BE(offset + 2);
+            offset += 4;
+
+            if (type === 0x0000) {
+                // Server name list: list length, then name type (0 = host name) and name length
+                if (data[offset + 2] !== 0x00) return null;
+                const nameLength = data.readUInt16BE(offset + 3);
+                return data.toString('ascii', offset + 5, offset + 5 + nameLength).toLowerCase();
+            }
+            offset += length;
+        }
+    } catch (err) {
+        // Truncated or malformed handshake
+    }
+    return null;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the page for a visit to a blocked site
+ * @param {string} host - The site that was visited
+ * @param {Object|null} block - { blocklistName, endTime, remainingMs }, or null if no block covers the site any more
+ * @returns {string} HTML
+ */
+function renderBlockPage(host, block) {
+    const until = block
+        ? new Date(block.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : '';
+    const details = block
+        ? `<p class="list">${escapeHtml(block.blocklistName || 'A blocklist')} is blocking this site</p>
+        <p class="remaining" id="remaining"></p>
+        <p class="until">Until ${escapeHtml(until)}</p>`
+        : '<p class="list">This site is no longer blocked. Reload the page to continue.</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Blocked by ReDD Block</title>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #333; }
+        .card { background: rgba(255, 255, 255, 0.95); border-radius: 12px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+            padding: 40px 48px; text-align: center; max-width: 480px; }
+        h1 { font-size: 24px; margin: 0 0 12px; }
+        .site, .until { color: #666; word-break: break-all; }
+        .remaining { font-size: 32px; font-weight: 600; color: #667eea; margin: 16px 0 8px; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>Blocked by ReDD Block</h1>
+        <p class="site">${escapeHtml(host)}</p>
+        ${details}
+    </div>
+    ${block ? `<script>
+        // Counts down from the helper's clock, which may differ from the system clock
+        const endsAt = Date.now() + ${Math.max(0, Math.round(block.remainingMs))};
+        function update() {
+            const minutes = Math.ceil((endsAt - Date.now()) / 60000);
+            const hours = Math.floor(minutes / 60);
+            document.getElementById('remaining').textContent = minutes <= 0 ? 'This block has ended'
+                : minutes < 60 ? minutes + ' min' + (minutes !== 1 ? 's' : '') + ' remaining'
+                    : hours + 'h ' + (minutes % 60) + 'm remaining';
+        }
+        update();
+        setInterval(update, 1000);
+    </script>` : ''}
+</body>
+</html>
+`;
+}
+
+class BlockPageServer {
+    /**
+     * @param {Object} options
+     * @param {number[]} [options.ports] - Ports to listen on at both loopback addresses
+     * @param {function(string): Object|null} options.lookup - The running block that shows the page
+     *   for a site, as { blockId, blocklistName, endTime, remainingMs }
+     * @param {function(string, string, string)} options.onAttempt - Called with (blockId, url, source) for each attempt
+     */
+    constructor({ ports = BLOCK_PAGE_PORTS, lookup, onAttempt }) {
+        this.ports = ports;
+        this.lookup = lookup;
+        this.onAttempt = onAttempt;
+        this.servers = [];
+        this.sockets = new Set();
+        this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+        this.listening = false;
+        this.ipv6 = false;
+    }
+
+    /**
+     * Start listening on 127.0.0.1, and on ::1 where IPv6 is available
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const listen = (port, address) => new Promise((resolve, reject) => {
+            const server = net.createServer((socket) => this.handleConnection(socket));
+            this.servers.push(server);
+            server.once('error', reject);
+            server.listen(port, address, () => {
+                // Errors after startup must not take the helper down with them
+                server.on('error', () => {});
+                resolve();
+            });
+        });
+
+        try {
+            await Promise.all(this.ports.map(port => listen(port, BLOCK_PAGE_IPV4)));
+        } catch (err) {
+            this.stop();
+            throw err;
+        }
+
+        try {
+            await Promise.all(this.ports.map(port => listen(port, BLOCK_PAGE_IPV6)));
+            this.ipv6 = true;
+        } catch (err) {
+            // No IPv6 loopback; blocked names keep resolving to :: there
+        }
+
+        this.listening = true;
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        this.listening = false;
+        this.ipv6 = false;
+        this.servers.forEach(server => server.close());
+        this.servers = [];
+        // Kept-alive connections would go on showing the page
+        this.sockets.forEach(socket => socket.destroy());
+        this.sockets.clear();
+    }
+
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.setTimeout(CONNECTION_TIMEOUT, () => socket.destroy());
+        socket.on('error', () => socket.destroy());
+
+        socket.once('data', (first) => {
+            if (first[0] !== TLS_HANDSHAKE) {
+                // Hand the connection to the HTTP server with its first bytes put back
+                socket.pause();
+                socket.unshift(first);
+                this.httpServer.emit('connection', socket);
+                socket.resume();
+                return;
+            }
+
+            let buffer = first;
+            const readHandshake = () => {
+                const recordLength = buffer.length >= TLS_RECORD_HEADER ? buffer.readUInt16BE(3) : MAX_TLS_RECORD;
+                if (buffer.length < TLS_RECORD_HEADER + recordLength && buffer.length < TLS_RECORD_HEADER + MAX_TLS_RECORD) {
+                    return false;
+                }
+
+                const host = parseServerName(buffer);
+                if (host) {
+                    this.recordHit(host, `https://${host}/`);
+                }
+                socket.destroy();
+                return true;
+            };
+
+            if (!readHandshake()) {
+                socket.on('data', (data) => {
+                    buffer = Buffer.concat([buffer, data]);
+                    readHandshake();
+                });
+            }
+        });
+    }
+
+    handleRequest(req, res) {
+        const host = (req.headers.host || '').replace(/:\d+$/, '').replace(/^\[|\]$/g, '').toLowerCase();
+
+        // Not worth an attempt of its own, and browsers ask for it on every visit
+        if (req.url === '/favicon.ico') {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        const block = host ? this.recordHit(host, `http://${host}${req.url}`) : null;
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store'
+        });
+        res.end(req.method === 'HEAD' ? undefined : renderBlockPage(host, block));
+    }
+
+    // Report a visit to a site a block shows the page for; the helper counts repeated visits once
+    recordHit(host, url) {
+        const block = this.lookup(host);
+        if (block) {
+            this.onAttempt(block.blockId, url, 'block-page');
+        }
+        return block;
+    }
+}
+
+module.exports = {
+    BLOCK_PAGE_IPV4,
+    BLOCK_PAGE_IPV6,
+    BLOCK_PAGE_PORTS,
+    BlockPageServer,
+    parseServerName,
+    renderBlockPage
+};
@@ -0,0 +1,461 @@
+/**
+ * Browser policies for the ReDD Block helper
+ *
+ * Browsers that resolve names over DNS-over-HTTPS skip the hosts file, so
+ * while blocks run the helper sets the enterprise policies that turn DoH off.
+ * Blocklist entries with a path (youtube.com/shorts), which the hosts file
+ * can't express, become URL block and allow lists in the same policies.
+ * Chromium-based browsers read them from JSON files on Linux, managed
+ * preferences on macOS and the registry on Windows. Firefox reads a single
+ * policies.json next to its installation on Windows (or in /etc on Linux);
+ * on macOS it reads its preference domain instead, as the app bundle is
+ * replaced by updates and must stay unmodified to keep its signature.
+ *
+ * Managed preferences, the registry, policies.json and Firefox's preference
+ * domain may already hold policies set by the user or their organisation.
+ * The helper reads those first, merges its own into them (adding its entries
+ * to lists) and puts them back afterwards, rather than replacing or deleting them.
+ *
+ * Nothing here touches the system, so the output can be checked on any
+ * platform; the helper writes the files and runs the commands.
+ */
+
+const path = require('path');
+const { parseUrlEntry } = require('./dns-policy');
+
+// Our own file in each Chromium managed policy directory (Linux)
+const CHROMIUM_POLICY_FILE = 'redd-block.json';
+
+const CHROMIUM_POLICY_DIRS = [
+    '/etc/opt/chrome/policies/managed',
+    '/etc/chromium/policies/managed',
+    '/etc/opt/edge/policies/managed',
+    '/etc/brave/policies/managed'
+];
+
+// Managed preference domains of Chromium-based browsers (macOS)
+const CHROMIUM_MAC_DOMAINS = [
+    'com.google.Chrome',
+    'org.chromium.Chromium',
+    'com.microsoft.Edge',
+    'com.brave.Browser'
+];
+const MAC_MANAGED_PREFERENCES_DIR = '/Library/Managed Preferences';
+
+// Policy keys of Chromium-based browsers (Windows)
+const CHROMIUM_REGISTRY_KEYS = [
+    'HKLM\\SOFTWARE\\Policies\\Google\\Chrome',
+    'HKLM\\SOFTWARE\\Policies\\Chromium',
+    'HKLM\\SOFTWARE\\Policies\\Microsoft\\Edge',
+    'HKLM\\SOFTWARE\\Policies\\BraveSoftware\\Brave'
+];
+
+// Every Chromium policy the helper sets, so clearing touches exactly these
+const CHROMIUM_POLICY_NAMES = ['DnsOverHttpsMode', 'URLBlocklist', 'URLAllowlist'];
+const LIST_POLICY_NAMES = ['URLBlocklist', 'URLAllowlist'];
+
+const FIREFOX_POLICY_PATHS = {
+    linux: '/etc/firefox/policies/policies.json',
+    win32: path.win32.join(process.env.ProgramFiles || 'C:\\Program Files', 'Mozilla Firefox', 'distribution', 'policies.json')
+};
+
+// Firefox's preference domain (macOS), read for policies once EnterprisePoliciesEnabled is set
+const FIREFOX_MAC_PREFERENCES = '/Library/Preferences/org.mozilla.firefox';
+
+// Every Firefox policy the helper sets on macOS, so clearing touches exactly these
+const FIREFOX_POLICY_NAMES = ['DNSOverHTTPS', 'WebsiteFilter'];
+
+/**
+ * Turn the running blocks' entries with a path into URL filters, in
+ * Chromium's format (`youtube.com/shorts` covers the site's subdomains too).
+ * A blocklist blocks just those paths; an allowlist blocks the rest of each
+ * site it only allows part of.
+ * @param {Object[]} blocks - Running blocks ({ domains, mode })
+ * @returns {{ urlBlocklist: string[], urlAllowlist: string[] }}
+ */
+function buildUrlFilters(blocks) {
+    const urlBlocklist = new Set();
+    const urlAllowlist = new Set();
+
+    blocks.forEach(block => {
+        const entries = block.domains.map(parseUrlEntry).filter(entry => entry.host);
+        const partial = entries.filter(entry => entry.path);
+
+        if (block.mode === 'allowlist') {
+            const wholeSites = entries.filter(entry => !entry.path).map(entry => entry.host);
+            partial.forEach(entry => {
+                urlAllowlist.add(`${entry.host}/${entry.path}`);
+                if (!wholeSites.includes(entry.host)) {
+                    urlBlocklist.add(entry.host);
+                }
+            });
+        } else {
+            partial.forEach(entry => urlBlocklist.add(`${entry.host}/${entry.path}`));
+        }
+    });
+
+    return { urlBlocklist: Array.from(urlBlocklist), urlAllowlist: Array.from(urlAllowlist) };
+}
+
+/**
+ * Chromium policies for the running blocks
+ * @param {Object} options
+ * @param {boolean} options.disableDoh - Turn DNS-over-HTTPS off
+ * @param {string[]} [options.urlBlocklist] - URL filters to block
+ * @param {string[]} [options.urlAllowlist] - URL filters excepted from the block list
+ * @returns {Object} Policy name -> value
+ */
+function buildChromiumPolicies({ disableDoh, urlBlocklist = [], urlAllowlist = [] }) {
+    const policies = {};
+    if (disableDoh) {
+        policies.DnsOverHttpsMode = 'off';
+    }
+    if (urlBlocklist.length > 0) {
+        policies.URLBlocklist = urlBlocklist;
+    }
+    if (urlAllowlist.length > 0) {
+        policies.URLAllowlist = urlAllowlist;
+    }
+    return policies;
+}
+
+/**
+ * List the Chromium policy files to write on Linux
+ * @returns {string[]}
+ */
+function getChromiumPolicyPaths() {
+    return CHROMIUM_POLICY_DIRS.map(dir => path.posix.join(dir, CHROMIUM_POLICY_FILE));
+}
+
+// Quote an argument for /bin/sh
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Our policies on top of the ones that were already set: lists get our entries
+// added, other values are replaced by ours
+function mergeChromiumPolicies(original, policies) {
+    const merged = {};
+    CHROMIUM_POLICY_NAMES.forEach(name => {
+        let value = policies[name] !== undefined ? policies[name] : original[name];
+        if (Array.isArray(policies[name]) && Array.isArray(original[name])) {
+            value = Array.from(new Set(original[name].concat(policies[name])));
+        }
+        if (value !== undefined) {
+            merged[name] = value;
+        }
+    });
+    return merged;
+}
+
+function escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Write a value as a property list fragment, the form `defaults write` takes any type in
+function toPlistXml(value) {
+    if (typeof value === 'boolean') {
+        return value ? '<true/>' : '<false/>';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? `<integer>${value}</integer>` : `<real>${value}</real>`;
+    }
+    if (Array.isArray(value)) {
+        return `<array>${value.map(toPlistXml).join('')}</array>`;
+    }
+    if (value && typeof value === 'object') {
+        return `<dict>${Object.entries(value).map(([key, entry]) => `<key>${escapeXml(key)}</key>${toPlistXml(entry)}`).join('')}</dict>`;
+    }
+    return `<string>${escapeXml(value)}</string>`;
+}
+
+// Set each named policy in a preference domain, or delete it if it has no value
+function buildDefaultsCommands(plist, names, values) {
+    return names.map(name => (values[name] === undefined
+        ? `defaults delete ${plist} ${name}`
+        : `defaults write ${plist} ${name} ${shellQuote(toPlistXml(values[name]))}`));
+}
+
+// Print a property list as JSON; fails if it doesn't exist
+function buildPlistReadCommand(preferences) {
+    return `plutil -convert json -o - ${shellQuote(`${preferences}.plist`)}`;
+}
+
+/**
+ * Parse the output of a read command from buildMacReadCommands() or
+ * buildFirefoxMacReadCommand(), keeping only the policies the helper sets
+ * @param {string|null} output - null if the command failed
+ * @param {string[]} [names] - Policy names to keep, Chromium's by default
+ * @returns {Object} Policy name -> value
+ */
+function parseMacPolicies(output, names = CHROMIUM_POLICY_NAMES) {
+    let preferences = {};
+    try {
+        preferences = output ? JSON.parse(output) : {};
+    } catch (err) {
+        // Unreadable preferences have nothing of ours to keep
+    }
+
+    const policies = {};
+    names.forEach(name => {
+        if (preferences[name] !== undefined) {
+            policies[name] = preferences[name];
+        }
+    });
+    return policies;
+}
+
+/**
+ * Build the commands that print the Chromium policies already set on macOS
+ * @returns {Object} Managed preference domain -> command
+ */
+function buildMacReadCommands() {
+    const commands = {};
+    CHROMIUM_MAC_DOMAINS.forEach(domain => {
+        commands[domain] = buildPlistReadCommand(path.posix.join(MAC_MANAGED_PREFERENCES_DIR, domain));
+    });
+    return commands;
+}
+
+/**
+ * Build the `defaults` commands that set Chromium policies on macOS, keeping
+ * the ones that were already set and putting back those ours replaced
+ * @param {Object} policies - Result of buildChromiumPolicies()
+ * @param {Object} [originals] - Domain -> parseMacPolicies() result from before the first block
+ * @returns {string[]}
+ */
+function buildMacPolicyCommands(policies, originals = {}) {
+    const commands = [];
+    CHROMIUM_MAC_DOMAINS.forEach(domain => {
+        const plist = shellQuote(path.posix.join(MAC_MANAGED_PREFERENCES_DIR, domain));
+        const merged = mergeChromiumPolicies(originals[domain] || {}, policies);
+        commands.push(...buildDefaultsCommands(plist, CHROMIUM_POLICY_NAMES, merged));
+    });
+    return commands;
+}
+
+/**
+ * Build the `defaults` commands that take ReDD Block's policies out on macOS,
+ * leaving the ones that were set before as they were
+ * @param {Object} [originals] - As for buildMacPolicyCommands()
+ * @returns {string[]}
+ */
+function buildMacClearCommands(originals = {}) {
+    return buildMacPolicyCommands({}, originals);
+}
+
+// Quote a registry value for cmd.exe; URL filters never need a double quote
+function registryQuote(value) {
+    return `"${String(value).replace(/"/g, '')}"`;
+}
+
+// List policies are subkeys with one numbered value per entry; the rest are plain values
+function buildRegistryDeleteCommand(key, name) {
+    return LIST_POLICY_NAMES.includes(name)
+        ? `reg delete "${key}\\${name}" /f`
+        : `reg delete "${key}" /v ${name} /f`;
+}
+
+// `reg query` names the hive in full
+function toFullRegistryKey(key) {
+    return key.replace(/^HKLM\\/, 'HKEY_LOCAL_MACHINE\\').toLowerCase();
+}
+
+/**
+ * Build the commands that print the Chromium policies already set on Windows
+ * @returns {Object} Registry key -> command
+ */
+function buildRegistryReadCommands() {
+    const commands = {};
+    CHROMIUM_REGISTRY_KEYS.forEach(key => {
+        commands[key] = `reg query "${key}" /s`;
+    });
+    return commands;
+}
+
+/**
+ * Parse the output of a read command from buildRegistryReadCommands(), keeping
+ * only the policies the helper sets. Those are all strings or lists of strings,
+ * so other types are skipped.
+ * @param {string|null} output - null if the command failed
+ * @param {string} key - Registry key the command read
+ * @returns {Object} Policy name -> value
+ */
+function parseRegistryPolicies(output, key) {
+    const policies = {};
+    const lists = {}; // List policy -> [index, entry]
+    const policyKey = toFullRegistryKey(key);
+    let currentKey = null;
+
+    (output || '').split(/\r?\n/).forEach(line => {
+        if (/^HKEY_/i.test(line)) {
+            currentKey = line.trim().toLowerCase();
+            return;
+        }
+        const match = line.match(/^\s+(\S+)\s+REG_SZ\s+(.*)$/);
+        if (!match) return;
+
+        const [, name, value] = match;
+        const list = LIST_POLICY_NAMES.find(listName => currentKey === `${policyKey}\\${listName.toLowerCase()}`);
+        if (list) {
+            lists[list] = (lists[list] || []).concat([[Number(name), value]]);
+        } else if (currentKey === policyKey && CHROMIUM_POLICY_NAMES.includes(name) && !LIST_POLICY_NAMES.includes(name)) {
+            policies[name] = value;
+        }
+    });
+
+    Object.entries(lists).forEach(([name, entries]) => {
+        policies[name] = entries.sort((a, b) => a[0] - b[0]).map(([, entry]) => entry);
+    });
+    return policies;
+}
+
+/**
+ * Build the `reg` commands that set Chromium policies on Windows, keeping
+ * the ones that were already set and putting back those ours replaced
+ * @param {Object} policies - Result of buildChromiumPolicies()
+ * @param {Object} [originals] - Key -> parseRegistryPolicies() result from before the first block
+ * @returns {string[]}
+ */
+function buildRegistryPolicyCommands(policies, originals = {}) {
+    const commands = [];
+    CHROMIUM_REGISTRY_KEYS.forEach(key => {
+        const merged = mergeChromiumPolicies(originals[key] || {}, policies);
+        CHROMIUM_POLICY_NAMES.forEach(name => {
+            const value = merged[name];
+            if (value === undefined || Array.isArray(value)) {
+                // Lists are rewritten from scratch so no stale entries are left
+                commands.push(buildRegistryDeleteCommand(key, name));
+            }
+            if (Array.isArray(value)) {
+                value.forEach((entry, index) => {
+                    commands.push(`reg add "${key}\\${name}" /v ${index + 1} /t REG_SZ /d ${registryQuote(entry)} /f`);
+                });
+            } else if (value !== undefined) {
+                commands.push(`reg add "${key}" /v ${name} /t REG_SZ /d ${registryQuote(value)} /f`);
+            }
+        });
+    });
+    return commands;
+}
+
+/**
+ * Build the `reg` commands that take ReDD Block's policies out on Windows,
+ * leaving the ones that were set before as they were
+ * @param {Object} [originals] - As for buildRegistryPolicyCommands()
+ * @returns {string[]}
+ */
+function buildRegistryClearCommands(originals = {}) {
+    return buildRegistryPolicyCommands({}, originals);
+}
+
+/**
+ * Get where Firefox reads policies.json on a platform
+ * @param {string} [platform]
+ * @returns {string|null} null on macOS, where policies go in Firefox's preference domain
+ */
+function getFirefoxPolicyPath(platform = process.platform) {
+    return FIREFOX_POLICY_PATHS[platform] || null;
+}
+
+/**
+ * Convert a Chromium URL filter to the match pattern Firefox's WebsiteFilter expects
+ * @param {string} filter - e.g. 'youtube.com/shorts'
+ * @returns {string} e.g. '*://*.youtube.com/shorts*'
+ */
+function toFirefoxPattern(filter) {
+    const slash = filter.indexOf('/');
+    return slash === -1
+        ? `*://*.${filter}/*`
+        : `*://*.${filter.substring(0, slash)}${filter.substring(slash)}*`;
+}
+
+// The running blocks' Firefox policies on top of the ones that were already set
+function mergeFirefoxPolicies(existing, { disableDoh, urlBlocklist = [], urlAllowlist = [] }) {
+    const policies = { ...existing };
+    if (disableDoh) {
+        policies.DNSOverHTTPS = { ...(policies.DNSOverHTTPS || {}), Enabled: false, Locked: true };
+    }
+    if (urlBlocklist.length > 0 || urlAllowlist.length > 0) {
+        const filter = policies.WebsiteFilter || {};
+        policies.WebsiteFilter = {
+            ...filter,
+            Block: (filter.Block || []).concat(urlBlocklist.map(toFirefoxPattern)),
+            Exceptions: (filter.Exceptions || []).concat(urlAllowlist.map(toFirefoxPattern))
+        };
+    }
+    return policies;
+}
+
+/**
+ * Merge the running blocks' policies into Firefox's policies.json
+ * @param {string|null} original - The file as it was before the helper changed it
+ * @param {Object} options - Same as for buildChromiumPolicies()
+ * @returns {string} New file content
+ */
+function buildFirefoxPolicies(original, options) {
+    let existing = {};
+    try {
+        existing = original ? JSON.parse(original) : {};
+    } catch (err) {
+        // An unreadable file is replaced; the original is still restored afterwards
+    }
+
+    const policies = mergeFirefoxPolicies(existing.policies || {}, options);
+    return JSON.stringify({ ...existing, policies }, null, 2) + '\n';
+}
+
+/**
+ * Build the command that prints Firefox's preference domain on macOS; parse
+ * its output with parseMacPolicies(output, FIREFOX_POLICY_NAMES)
+ * @returns {string}
+ */
+function buildFirefoxMacReadCommand() {
+    return buildPlistReadCommand(FIREFOX_MAC_PREFERENCES);
+}
+
+/**
+ * Build the `defaults` commands that set Firefox policies on macOS, merged
+ * into the ones that were already set
+ * @param {Object} options - Same as for buildFirefoxPolicies()
+ * @param {Object} [original] - parseMacPolicies() result from before the first block
+ * @returns {string[]}
+ */
+function buildFirefoxMacPolicyCommands(options, original = {}) {
+    const plist = shellQuote(FIREFOX_MAC_PREFERENCES);
+    const policies = mergeFirefoxPolicies(original, options);
+
+    return [`defaults write ${plist} EnterprisePoliciesEnabled -bool true`]
+        .concat(buildDefaultsCommands(plist, FIREFOX_POLICY_NAMES, policies));
+}
+
+/**
+ * Build the `defaults` commands that put Firefox's policies on macOS back as
+ * they were. EnterprisePoliciesEnabled stays set: it may be what turns on the
+ * user's own policies, and does nothing without any.
+ * @param {Object} [original] - As for buildFirefoxMacPolicyCommands()
+ * @returns {string[]}
+ */
+function buildFirefoxMacClearCommands(original = {}) {
+    return buildDefaultsCommands(shellQuote(FIREFOX_MAC_PREFERENCES), FIREFOX_POLICY_NAMES, original);
+}
+
+module.exports = {
+    FIREFOX_POLICY_NAMES,
+    buildUrlFilters,
+    buildChromiumPolicies,
+    getChromiumPolicyPaths,
+    buildMacReadCommands,
+    parseMacPolicies,
+    buildMacPolicyCommands,
+    buildMacClearCommands,
+    buildRegistryReadCommands,
+    parseRegistryPolicies,
+    buildRegistryPolicyCommands,
+    buildRegistryClearCommands,
+    getFirefoxPolicyPath,
+    buildFirefoxPolicies,
+    buildFirefoxMacReadCommand,
+    buildFirefoxMacPolicyCommands,
+    buildFirefoxMacClearCommands
+};
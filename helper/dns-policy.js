@@ -0,0 +1,215 @@
+/**
+ * DNS policy for the ReDD Block helper
+ *
+ * Decides which names the local DNS proxy refuses to resolve while blocks
+ * are running. An allowlist block only lets through the names it lists,
+ * their subdomains and the domains those sites need in order to load.
+ * A blocklist with subdomain blocking refuses every name under its domains,
+ * which the hosts file can't express.
+ *
+ * While any block runs, browsers' DNS-over-HTTPS resolvers are kept out of
+ * reach too, since DoH bypasses both the hosts file and this proxy.
+ */
+
+// Names that keep the system itself working and are never refused
+const ALWAYS_ALLOWED = [
+    'localhost',
+    'local',
+    'in-addr.arpa',
+    'ip6.arpa',
+    // Connectivity and clock checks done by the operating system
+    'captive.apple.com',
+    'time.apple.com',
+    'connectivitycheck.gstatic.com',
+    'msftconnecttest.com',
+    'msftncsi.com',
+    'time.windows.com',
+    'connectivity-check.ubuntu.com',
+    'ntp.ubuntu.com',
+    'pool.ntp.org'
+];
+
+// Firefox leaves automatic DoH off on networks where this name doesn't resolve
+const DOH_CANARY_DOMAIN = 'use-application-dns.net';
+
+// Hostnames of well-known public DoH resolvers built into browsers
+const DOH_ENDPOINTS = [
+    'dns.google',
+    'dns.google.com',
+    'dns64.dns.google',
+    'cloudflare-dns.com',
+    'mozilla.cloudflare-dns.com',
+    'chrome.cloudflare-dns.com',
+    '1dot1dot1dot1.cloudflare-dns.com',
+    'one.one.one.one',
+    'dns.quad9.net',
+    'dns9.quad9.net',
+    'dns10.quad9.net',
+    'dns11.quad9.net',
+    'doh.opendns.com',
+    'doh.familyshield.opendns.com',
+    'dns.nextdns.io',
+    'firefox.dns.nextdns.io',
+    'chromium.dns.nextdns.io',
+    'doh.cleanbrowsing.org',
+    'dns.adguard.com',
+    'dns.adguard-dns.com',
+    'doh.mullvad.net',
+    'dns.mullvad.net',
+    'doh.dns.sb',
+    'dns.alidns.com',
+    'doh.pub',
+    'dns.controld.com',
+    'freedns.controld.com'
+];
+
+// Domains that allowlisted sites load their assets, APIs and media from
+const ALLOWLIST_DEPENDENCIES = {
+    'google.com': ['gstatic.com', 'googleapis.com', 'googleusercontent.com', 'ggpht.com'],
+    'gmail.com': ['google.com', 'gstatic.com', 'googleapis.com', 'googleusercontent.com'],
+    'youtube.com': ['youtu.be', 'ytimg.com', 'googlevideo.com', 'ggpht.com', 'youtube-nocookie.com', 'gstatic.com'],
+    'github.com': ['githubusercontent.com', 'githubassets.com', 'github.io'],
+    'wikipedia.org': ['wikimedia.org'],
+    'stackoverflow.com': ['sstatic.net', 'stackexchange.com'],
+    'slack.com': ['slack-edge.com', 'slack-imgs.com', 'slack-msgs.com'],
+    'notion.so': ['notion.site', 'notion.com', 'notion-static.com'],
+    'zoom.us': ['zoom.com'],
+    'office.com': ['microsoft.com', 'microsoftonline.com', 'office.net', 'live.com'],
+    'outlook.com': ['office.com', 'office.net', 'microsoft.com', 'microsoftonline.com', 'live.com']
+};
+
+/**
+ * Reduce a blocklist entry or queried name to a bare lowercase domain
+ * @param {string} value - e.g. 'https://www.Example.com/path'
+ */
+function normalizeDomain(value) {
+    return String(value)
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/?#].*$/, '')
+        .replace(/:\d+$/, '')
+        .replace(/\.$/, '')
+        .replace(/^www\./, '');
+}
+
+/**
+ * Split a blocklist entry into its domain and the path after it
+ * @param {string} value - e.g. 'https://www.youtube.com/shorts/'
+ * @returns {{ host: string, path: string }} e.g. { host: 'youtube.com', path: 'shorts' }; path is '' for whole sites
+ */
+function parseUrlEntry(value) {
+    const urlPath = String(value)
+        .trim()
+        .replace(/^[a-z]+:\/\//i, '')
+        .replace(/^[^/?#]*/, '')
+        .replace(/#.*$/, '')
+        .replace(/^\//, '')
+        .replace(/\/$/, '');
+    return { host: normalizeDomain(value), path: urlPath };
+}
+
+/**
+ * Check whether a blocklist entry only covers part of a site. Such entries
+ * are enforced through browser policies, not the hosts file or DNS.
+ * @param {string} value - Blocklist entry
+ */
+function hasUrlPath(value) {
+    return parseUrlEntry(value).path !== '';
+}
+
+/**
+ * Check whether a name is the domain itself or one of its subdomains
+ * @param {string} name - Normalized name
+ * @param {string} domain - Normalized domain
+ */
+function matchesDomain(name, domain) {
+    return name === domain || name.endsWith('.' + domain);
+}
+
+/**
+ * Expand an allowlist with the domains its sites depend on
+ * @param {string[]} domains - Allowlist entries
+ * @returns {string[]}
+ */
+function expandAllowlist(domains) {
+    const expanded = new Set();
+    domains.map(normalizeDomain).filter(Boolean).forEach(domain => {
+        expanded.add(domain);
+        Object.keys(ALLOWLIST_DEPENDENCIES).forEach(site => {
+            if (matchesDomain(domain, site)) {
+                ALLOWLIST_DEPENDENCIES[site].forEach(dependency => expanded.add(dependency));
+            }
+        });
+    });
+    return Array.from(expanded);
+}
+
+/**
+ * Check whether a block needs the DNS proxy to be enforced
+ * @param {Object} block - { mode, subdomains }
+ */
+function needsDnsPolicy(block) {
+    return block.mode === 'allowlist' || !!block.subdomains;
+}
+
+/**
+ * Check whether a name is the DoH canary or a known DoH resolver
+ * @param {string} name - Normalized name
+ */
+function isDohName(name) {
+    return name === DOH_CANARY_DOMAIN || DOH_ENDPOINTS.includes(name);
+}
+
+/**
+ * Check whether a block covers a name, through the hosts file or the DNS proxy
+ * @param {string} name - Queried or visited name
+ * @param {Object} block - Running block ({ domains, mode, subdomains })
+ */
+function blockCoversName(name, block) {
+    const host = normalizeDomain(name);
+    if (!host || ALWAYS_ALLOWED.some(domain => matchesDomain(host, domain))) {
+        return false;
+    }
+
+    if (block.mode === 'allowlist') {
+        return !expandAllowlist(block.domains).some(domain => matchesDomain(host, domain));
+    }
+    return block.domains
+        .filter(entry => !hasUrlPath(entry))
+        .map(normalizeDomain)
+        .some(domain => domain && (block.subdomains ? matchesDomain(host, domain) : host === domain));
+}
+
+/**
+ * Decide whether the DNS proxy should refuse a name
+ * @param {string} name - Queried name
+ * @param {Object[]} blocks - Running blocks ({ domains, mode, subdomains })
+ */
+function isNameBlocked(name, blocks) {
+    const host = normalizeDomain(name);
+    if (!host || ALWAYS_ALLOWED.some(domain => matchesDomain(host, domain))) {
+        return false;
+    }
+    if (blocks.length > 0 && isDohName(host)) {
+        return true;
+    }
+
+    // Plain blocklists are left to the hosts file; every running allowlist has to allow the name
+    return blocks
+        .filter(block => block.mode === 'allowlist' || block.subdomains)
+        .some(block => blockCoversName(host, block));
+}
+
+module.exports = {
+    DOH_CANARY_DOMAIN,
+    DOH_ENDPOINTS,
+    normalizeDomain,
+    parseUrlEntry,
+    hasUrlPath,
+    matchesDomain,
+    expandAllowlist,
+    needsDnsPolicy,
+    blockCoversName,
+    isNameBlocked
+};
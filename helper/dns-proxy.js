@@ -0,0 +1,462 @@
+/**
+ * Local DNS proxy for the ReDD Block helper
+ *
+ * Listens on 127.0.0.1:53 (UDP and TCP) while an allowlist block or a block
+ * with subdomain blocking is running. Names the policy refuses get an
+ * NXDOMAIN answer, or the block page's loopback address when their block
+ * shows one; everything else is forwarded to the upstream servers the
+ * system was using before the helper pointed it at the proxy.
+ *
+ * Also switches the system resolver configuration to the proxy and back.
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const fs = require('fs');
+const { execSync } = require('child_process');
+
+const LISTEN_ADDRESS = '127.0.0.1';
+const DNS_PORT = 53;
+const UPSTREAM_TIMEOUT = 5000;
+
+const TYPE_A = 1;
+const TYPE_AAAA = 28;
+
+// Kept short so the block page stops being served soon after its block ends
+const REDIRECT_TTL = 10;
+
+// Used when no upstream servers could be read from the system configuration
+const FALLBACK_UPSTREAMS = ['1.1.1.1', '8.8.8.8'];
+
+const RESOLV_CONF_PATH = '/etc/resolv.conf';
+const RESOLV_CONF_MARKER = '# Managed by ReDD Block - DO NOT EDIT';
+
+// DNS message helpers
+
+/**
+ * Read the first question of a DNS query
+ * @param {Buffer} msg - Raw DNS message
+ * @returns {{ name: string, type: number, end: number } | null}
+ */
+function parseQuestion(msg) {
+    if (msg.length < 12 || msg.readUInt16BE(4) < 1) return null;
+
+    const labels = [];
+    let offset = 12;
+
+    while (offset < msg.length) {
+        const length = msg[offset];
+        if (length === 0) {
+            offset++;
+            break;
+        }
+        // Questions never use compression pointers, so anything above 63 is malformed
+        if (length > 63 || offset + 1 + length > msg.length) return null;
+        labels.push(msg.toString('ascii', offset + 1, offset + 1 + length));
+        offset += 1 + length;
+    }
+
+    if (offset + 4 > msg.length) return null;
+
+    return {
+        name: labels.join('.'),
+        type: msg.readUInt16BE(offset),
+        end: offset + 4
+    };
+}
+
+/**
+ * Build an NXDOMAIN answer to a query, echoing its question
+ * @param {Buffer} query - Raw DNS query
+ * @param {Object} question - Result of parseQuestion(query)
+ */
+function buildNxdomainResponse(query, question) {
+    const response = Buffer.from(query.subarray(0, question.end));
+    response[2] = 0x80 | (query[2] & 0x79); // QR, keep opcode and RD
+    response[3] = 0x80 | 0x03;              // RA, RCODE = NXDOMAIN
+    response.writeUInt16BE(1, 4);           // QDCOUNT
+    response.writeUInt16BE(0, 6);           // ANCOUNT
+    response.writeUInt16BE(0, 8);           // NSCOUNT
+    response.writeUInt16BE(0, 10);          // ARCOUNT
+    return response;
+}
+
+/**
+ * Build an answer to a query that points the name at a fixed address. Queries
+ * for other record types, or for a family without an address, get no records.
+ * @param {Buffer} query - Raw DNS query
+ * @param {Object} question - Result of parseQuestion(query)
+ * @param {{ ipv4: string|null, ipv6: string|null }} addresses
+ */
+function buildAddressResponse(query, question, addresses) {
+    const header = Buffer.from(query.subarray(0, question.end));
+    header[2] = 0x80 | (query[2] & 0x79);   // QR, keep opcode and RD
+    header[3] = 0x80;                       // RA, RCODE = NOERROR
+    header.writeUInt16BE(1, 4);             // QDCOUNT
+    header.writeUInt16BE(0, 6);             // ANCOUNT
+    header.writeUInt16BE(0, 8);             // NSCOUNT
+    header.writeUInt16BE(0, 10);            // ARCOUNT
+
+    let rdata = null;
+    if (question.type === TYPE_A && addresses.ipv4) {
+        rdata = Buffer.from(addresses.ipv4.split('.').map(Number));
+    } else if (question.type === TYPE_AAAA && addresses.ipv6) {
+        rdata = Buffer.alloc(16);
+        const [head, tail = ''] = addresses.ipv6.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        headGroups.forEach((group, i) => rdata.writeUInt16BE(parseInt(group, 16), i * 2));
+        tailGroups.forEach((group, i) => rdata.writeUInt16BE(parseInt(group, 16), 16 - (tailGroups.length - i) * 2));
+    }
+    if (!rdata) return header;
+
+    const answer = Buffer.alloc(12);
+    answer.writeUInt16BE(0xc00c, 0);        // Name: pointer to the question
+    answer.writeUInt16BE(question.type, 2);
+    answer.writeUInt16BE(1, 4);             // Class IN
+    answer.writeUInt32BE(REDIRECT_TTL, 6);
+    answer.writeUInt16BE(rdata.length, 10);
+    header.writeUInt16BE(1, 6);             // ANCOUNT
+    return Buffer.concat([header, answer, rdata]);
+}
+
+// DNS over TCP prefixes each message with its length
+function frame(msg) {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(msg.length);
+    return Buffer.concat([length, msg]);
+}
+
+/**
+ * Send a query to an upstream server over UDP. Only a reply from that server
+ * carrying the query's ID is accepted, so spoofed or stray datagrams are ignored.
+ * @param {Buffer} query - Raw DNS query
+ * @param {string} upstream - Server address
+ * @param {number} [port] - Server port
+ * @returns {Promise<Buffer>}
+ */
+function forwardUdp(query, upstream, port = DNS_PORT) {
+    return new Promise((resolve, reject) => {
+        const address = upstream.split('%')[0];
+        const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+        const timeout = setTimeout(() => {
+            socket.close();
+            reject(new Error(`Upstream ${upstream} timed out`));
+        }, UPSTREAM_TIMEOUT);
+
+        socket.on('message', (response, rinfo) => {
+            if (rinfo.address.split('%')[0] !== address || rinfo.port !== port) return;
+            if (response.length < 12 || response.readUInt16BE(0) !== query.readUInt16BE(0)) return;
+
+            clearTimeout(timeout);
+            socket.close();
+            resolve(response);
+        });
+
+        socket.on('error', (err) => {
+            clearTimeout(timeout);
+            socket.close();
+            reject(err);
+        });
+
+        socket.send(query, port, upstream);
+    });
+}
+
+function forwardTcp(query, upstream) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(DNS_PORT, upstream);
+        let buffer = Buffer.alloc(0);
+
+        socket.setTimeout(UPSTREAM_TIMEOUT, () => {
+            socket.destroy();
+            reject(new Error(`Upstream ${upstream} timed out`));
+        });
+
+        socket.on('connect', () => socket.write(frame(query)));
+
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            if (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+                socket.end();
+                resolve(buffer.subarray(2, 2 + buffer.readUInt16BE(0)));
+            }
+        });
+
+        socket.on('error', reject);
+    });
+}
+
+class DnsProxy {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.upstreams - Servers to forward allowed queries to
+     * @param {function(string): boolean} options.isBlocked - Whether a queried name is refused
+     * @param {function(string): Object|null} [options.redirect] - For a refused name, the
+     *   { ipv4, ipv6 } addresses to answer with instead of NXDOMAIN
+     * @param {function(string)} [options.onRefused] - Called with each refused name
+     */
+    constructor({ upstreams, isBlocked, redirect = () => null, onRefused = () => {} }) {
+        this.upstreams = upstreams && upstreams.length > 0 ? upstreams : FALLBACK_UPSTREAMS;
+        this.isBlocked = isBlocked;
+        this.redirect = redirect;
+        this.onRefused = onRefused;
+        this.udpServer = null;
+        this.tcpServer = null;
+        this.listening = false;
+    }
+
+    /**
+     * Start listening on 127.0.0.1:53
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.udpServer = dgram.createSocket('udp4');
+        this.tcpServer = net.createServer((socket) => this.handleTcpClient(socket));
+
+        // Errors after startup must not take the helper down with them
+        this.udpServer.on('error', () => {});
+        this.tcpServer.on('error', () => {});
+
+        this.udpServer.on('message', (query, remote) => {
+            this.resolve(query, forwardUdp).then((response) => {
+                if (response && this.udpServer) {
+                    this.udpServer.send(response, remote.port, remote.address);
+                }
+            });
+        });
+
+        try {
+            await Promise.all([
+                new Promise((resolve, reject) => {
+                    this.udpServer.once('error', reject);
+                    this.udpServer.bind(DNS_PORT, LISTEN_ADDRESS, resolve);
+                }),
+                new Promise((resolve, reject) => {
+                    this.tcpServer.once('error', reject);
+                    this.tcpServer.listen(DNS_PORT, LISTEN_ADDRESS, resolve);
+                })
+            ]);
+        } catch (err) {
+            this.stop();
+            throw err;
+        }
+
+        this.listening = true;
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        this.listening = false;
+        if (this.udpServer) {
+            try {
+                this.udpServer.close();
+            } catch (e) {
+                // Already closed
+            }
+            this.udpServer = null;
+        }
+        if (this.tcpServer) {
+            this.tcpServer.close();
+            this.tcpServer = null;
+        }
+    }
+
+    // Answer a query: refused names get NXDOMAIN or the block page, the rest go upstream
+    async resolve(query, forward) {
+        const question = parseQuestion(query);
+        if (question && this.isBlocked(question.name)) {
+            this.onRefused(question.name);
+            const addresses = this.redirect(question.name);
+            return addresses
+                ? buildAddressResponse(query, question, addresses)
+                : buildNxdomainResponse(query, question);
+        }
+
+        for (const upstream of this.upstreams) {
+            try {
+                return await forward(query, upstream);
+            } catch (err) {
+                // Try the next upstream server
+            }
+        }
+        return null;
+    }
+
+    handleTcpClient(socket) {
+        let buffer = Buffer.alloc(0);
+
+        socket.setTimeout(UPSTREAM_TIMEOUT * 2, () => socket.destroy());
+        socket.on('error', () => socket.destroy());
+
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+
+            while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+                const query = buffer.subarray(2, 2 + buffer.readUInt16BE(0));
+                buffer = buffer.subarray(2 + query.length);
+
+                this.resolve(query, forwardTcp).then((response) => {
+                    if (response && !socket.destroyed) {
+                        socket.write(frame(response));
+                    }
+                });
+            }
+        });
+    }
+}
+
+// System resolver configuration
+
+function parseNameservers(content) {
+    return content
+        .split('\n')
+        .map(line => line.match(/^\s*nameserver\s+(\S+)/))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+function listMacNetworkServices() {
+    return execSync('networksetup -listallnetworkservices')
+        .toString()
+        .split('\n')
+        .slice(1) // First line is an explanatory note
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('*')); // '*' marks disabled services
+}
+
+function runPowerShell(script) {
+    return execSync(`powershell.exe -NoProfile -ExecutionPolicy Bypass -Command "${script.replace(/"/g, '\\"')}"`).toString();
+}
+
+/**
+ * Read the current resolver configuration so it can be restored later
+ * @param {string} [resolvConfPath] - resolv.conf to read and later rewrite on Linux
+ * @returns {Object} Backup including the upstream servers to forward to
+ */
+function captureResolverConfig(resolvConfPath = RESOLV_CONF_PATH) {
+    const backup = { platform: process.platform, upstreams: [] };
+
+    if (process.platform === 'darwin') {
+        backup.services = {};
+        listMacNetworkServices().forEach(service => {
+            const output = execSync(`networksetup -getdnsservers "${service}"`).toString();
+            backup.services[service] = output.includes("aren't any")
+                ? []
+                : output.split('\n').map(line => line.trim()).filter(Boolean);
+        });
+
+        // scutil reports the servers actually in use, including DHCP-provided ones
+        const scutil = execSync('scutil --dns').toString();
+        const matches = scutil.match(/nameserver\[\d+\]\s*:\s*\S+/g) || [];
+        backup.upstreams = matches.map(line => line.split(':').slice(1).join(':').trim());
+    } else if (process.platform === 'win32') {
+        const output = runPowerShell(
+            'Get-DnsClientServerAddress -AddressFamily IPv4 | Select-Object InterfaceIndex,ServerAddresses | ConvertTo-Json -Compress'
+        ).trim();
+        const parsed = output ? JSON.parse(output) : [];
+        backup.interfaces = (Array.isArray(parsed) ? parsed : [parsed]).map(entry => ({
+            index: entry.InterfaceIndex,
+            servers: entry.ServerAddresses || []
+        }));
+        backup.upstreams = backup.interfaces.reduce((all, entry) => all.concat(entry.servers), []);
+    } else {
+        backup.resolvConfPath = resolvConfPath;
+        const stat = fs.lstatSync(resolvConfPath);
+        if (stat.isSymbolicLink()) {
+            backup.symlink = fs.readlinkSync(resolvConfPath);
+        } else {
+            backup.content = fs.readFileSync(resolvConfPath, 'utf8');
+        }
+        // A local stub such as systemd-resolved (127.0.0.53) keeps working as an upstream
+        backup.upstreams = parseNameservers(fs.readFileSync(resolvConfPath, 'utf8'));
+    }
+
+    // Never forward to ourselves
+    backup.upstreams = Array.from(new Set(backup.upstreams))
+        .filter(server => server !== LISTEN_ADDRESS && server !== '::1');
+
+    return backup;
+}
+
+/**
+ * Point the system resolver at the local proxy
+ * @param {Object} backup - Result of captureResolverConfig()
+ */
+function useLocalResolver(backup) {
+    if (backup.platform === 'darwin') {
+        Object.keys(backup.services).forEach(service => {
+            execSync(`networksetup -setdnsservers "${service}" ${LISTEN_ADDRESS}`);
+        });
+    } else if (backup.platform === 'win32') {
+        runPowerShell(backup.interfaces
+            .map(entry => `Set-DnsClientServerAddress -InterfaceIndex ${entry.index} -ServerAddresses '${LISTEN_ADDRESS}'`)
+            .join('; '));
+    } else {
+        const { resolvConfPath } = backup;
+        if (fs.lstatSync(resolvConfPath).isSymbolicLink()) {
+            fs.unlinkSync(resolvConfPath);
+        }
+        fs.writeFileSync(resolvConfPath, `${RESOLV_CONF_MARKER}\nnameserver ${LISTEN_ADDRESS}\n`);
+    }
+}
+
+/**
+ * Check whether the system is still pointed at the local proxy.
+ * Only Linux can be checked cheaply; other platforms report true.
+ * @param {string} [resolvConfPath] - resolv.conf to check on Linux
+ */
+function isUsingLocalResolver(resolvConfPath = RESOLV_CONF_PATH) {
+    if (process.platform === 'darwin' || process.platform === 'win32') {
+        return true;
+    }
+    try {
+        const nameservers = parseNameservers(fs.readFileSync(resolvConfPath, 'utf8'));
+        return nameservers.length === 1 && nameservers[0] === LISTEN_ADDRESS;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Put the resolver configuration back the way it was
+ * @param {Object} backup - Result of captureResolverConfig()
+ */
+function restoreResolverConfig(backup) {
+    if (backup.platform === 'darwin') {
+        Object.entries(backup.services).forEach(([service, servers]) => {
+            const value = servers.length > 0 ? servers.join(' ') : 'Empty';
+            execSync(`networksetup -setdnsservers "${service}" ${value}`);
+        });
+    } else if (backup.platform === 'win32') {
+        runPowerShell(backup.interfaces
+            .map(entry => entry.servers.length > 0
+                ? `Set-DnsClientServerAddress -InterfaceIndex ${entry.index} -ServerAddresses ${entry.servers.map(s => `'${s}'`).join(',')}`
+                : `Set-DnsClientServerAddress -InterfaceIndex ${entry.index} -ResetServerAddresses`)
+            .join('; '));
+    } else {
+        const { resolvConfPath } = backup;
+        if (fs.lstatSync(resolvConfPath, { throwIfNoEntry: false })) {
+            fs.unlinkSync(resolvConfPath);
+        }
+        if (backup.symlink) {
+            fs.symlinkSync(backup.symlink, resolvConfPath);
+        } else {
+            fs.writeFileSync(resolvConfPath, backup.content || '');
+        }
+    }
+}
+
+module.exports = {
+    DnsProxy,
+    parseQuestion,
+    buildNxdomainResponse,
+    buildAddressResponse,
+    forwardUdp,
+    captureResolverConfig,
+    useLocalResolver,
+    isUsingLocalResolver,
+    restoreResolverConfig
+};
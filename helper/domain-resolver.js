@@ -0,0 +1,73 @@
+/**
+ * Domain resolution for the ReDD Block firewall rules
+ *
+ * Firewall rules need the real addresses of blocked sites, but while a block
+ * is running the system resolver answers 0.0.0.0 for them (hosts file, DNS
+ * proxy). Queries therefore go straight to upstream DNS servers.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { normalizeDomain } = require('./dns-policy');
+
+// Used when every configured server is a local resolver that would consult our own rules
+const FALLBACK_SERVERS = ['1.1.1.1', '8.8.8.8'];
+
+const QUERY_TIMEOUT = 3000;
+
+function isLoopback(address) {
+    return /^127\./.test(address) || address === '::1';
+}
+
+// Addresses the hosts file or a sinkhole may hand out; never worth a firewall rule
+function isRoutable(address) {
+    if (net.isIPv4(address)) {
+        return !/^(0|127)\./.test(address);
+    }
+    return address !== '::' && address !== '::1';
+}
+
+function getServers(preferred) {
+    const servers = (preferred && preferred.length > 0 ? preferred : dns.getServers())
+        .filter(server => !isLoopback(server));
+    return servers.length > 0 ? servers : FALLBACK_SERVERS;
+}
+
+/**
+ * Resolve domains (and their www. names) to IPv4 and IPv6 addresses
+ * @param {string[]} domains - Blocklist entries
+ * @param {string[]} [servers] - Upstream DNS servers to ask, defaults to the system's
+ * @returns {Promise<{ ipv4: string[], ipv6: string[] }>} Sorted, de-duplicated addresses
+ */
+async function resolveDomains(domains, servers) {
+    const resolver = new dns.promises.Resolver({ timeout: QUERY_TIMEOUT, tries: 2 });
+    resolver.setServers(getServers(servers));
+
+    const names = new Set();
+    domains.map(normalizeDomain).filter(Boolean).forEach(domain => {
+        names.add(domain);
+        names.add(`www.${domain}`);
+    });
+
+    const ipv4 = new Set();
+    const ipv6 = new Set();
+
+    await Promise.all(Array.from(names).map(async (name) => {
+        // Names without records of one family are expected, not errors
+        const [v4, v6] = await Promise.all([
+            resolver.resolve4(name).catch(() => []),
+            resolver.resolve6(name).catch(() => [])
+        ]);
+        v4.filter(isRoutable).forEach(address => ipv4.add(address));
+        v6.filter(isRoutable).forEach(address => ipv6.add(address));
+    }));
+
+    return {
+        ipv4: Array.from(ipv4).sort(),
+        ipv6: Array.from(ipv6).sort()
+    };
+}
+
+module.exports = {
+    resolveDomains
+};
@@ -10,15 +10,61 @@ const path = require('path');
 const { exec, execSync } = require('child_process');
 const sudo = require('sudo-prompt');
 const { app } = require('electron');
+const { createSecret } = require('./auth');
+const { NATIVE_HOST_NAME } = require('./native-host');
 
 const HELPER_NAME = 'redd-block-helper';
 const INSTALL_PATH = process.platform === 'win32'
     ? path.join(process.env.PROGRAMFILES || 'C:\\Program Files', 'ReDD Block', 'helper')
     : '/usr/local/lib/redd-block/helper';
 
+// Script files the helper needs when it runs under Node rather than as a compiled binary
+const HELPER_FILES = [
+    'redd-block-helper.js',
+    'ipc-client.js',
+    'schedule.js',
+    'dns-policy.js',
+    'dns-proxy.js',
+    'domain-resolver.js',
+    'pf-rules.js',
+    'windows-firewall.js',
+    'browser-policies.js',
+    'block-page.js',
+    'auth.js',
+    'override.js',
+    'protocol.js',
+    'trusted-clock.js'
+];
+
 const PLIST_PATH = '/Library/LaunchDaemons/org.reddfocus.redd-block-helper.plist';
 const SYSTEMD_PATH = '/etc/systemd/system/redd-block-helper.service';
 
+// The helper's copy of the client secret, next to its state file
+const HELPER_SECRET_PATH = process.platform === 'win32'
+    ? path.join(process.env.PROGRAMDATA || 'C:\\ProgramData', 'ReDD Block', 'client-secret')
+    : '/var/lib/redd-block/client-secret';
+
+/**
+ * Get the path to the app's copy of the secret used to authenticate with the helper
+ */
+function getClientSecretPath() {
+    return path.join(app.getPath('userData'), 'helper-secret');
+}
+
+/**
+ * Create the client secret if it doesn't exist yet. Only the current user can read it;
+ * the install scripts copy it to a location only the helper can read.
+ * @returns {string} Path to the app's copy of the secret
+ */
+function ensureClientSecret() {
+    const secretPath = getClientSecretPath();
+    if (!fs.existsSync(secretPath)) {
+        fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+        fs.writeFileSync(secretPath, createSecret(), { mode: 0o600 });
+    }
+    return secretPath;
+}
+
 /**
  * Get the path to the helper files in the app bundle
  */
@@ -106,25 +152,34 @@ function installMacOS() {
         const tempPlistPath = '/tmp/org.reddfocus.redd-block-helper.plist';
         fs.writeFileSync(tempPlistPath, plistContent);
 
+        const clientSecretPath = ensureClientSecret();
+
         // Create install script
         const installScript = `
             # Create install directory
             mkdir -p "${INSTALL_PATH}"
             mkdir -p /var/lib/redd-block
             
+            # Stop an installed helper so its binary can be replaced
+            launchctl unload "${PLIST_PATH}" 2>/dev/null || true
+            
             # Copy the compiled helper binary
             cp "${helperBinary}" "${INSTALL_PATH}/"
             
             # Copy generated plist
             cp "${tempPlistPath}" "${PLIST_PATH}"
             
+            # Copy the client secret where only the helper can read it
+            cp "${clientSecretPath}" "${HELPER_SECRET_PATH}"
+            
             # Set permissions
             chmod 644 "${PLIST_PATH}"
             chmod 755 "${INSTALL_PATH}/redd-block-helper"
             chown -R root:wheel "${INSTALL_PATH}"
+            chown root:wheel "${HELPER_SECRET_PATH}"
+            chmod 600 "${HELPER_SECRET_PATH}"
             
             # Load the daemon
-            launchctl unload "${PLIST_PATH}" 2>/dev/null || true
             launchctl load -w "${PLIST_PATH}"
             
             echo "Helper installed successfully"
@@ -152,8 +207,8 @@ function installMacOS() {
 function installLinux() {
     return new Promise((resolve, reject) => {
         const sourcePath = getSourceHelperPath();
-        const helperScript = path.join(sourcePath, 'redd-block-helper.js');
         const serviceSource = path.join(sourcePath, 'redd-block-helper.service');
+        const clientSecretPath = ensureClientSecret();
 
         const installScript = `
             # Create install directory
@@ -161,20 +216,24 @@ function installLinux() {
             mkdir -p /var/lib/redd-block
             
             # Copy helper files
-            cp "${helperScript}" "${INSTALL_PATH}/"
-            cp "${path.join(sourcePath, 'ipc-client.js')}" "${INSTALL_PATH}/"
+${HELPER_FILES.map(file => `            cp "${path.join(sourcePath, file)}" "${INSTALL_PATH}/"`).join('\n')}
             
             # Copy systemd service
             cp "${serviceSource}" "${SYSTEMD_PATH}"
             
+            # Copy the client secret where only the helper can read it
+            cp "${clientSecretPath}" "${HELPER_SECRET_PATH}"
+            
             # Set permissions
             chmod 644 "${SYSTEMD_PATH}"
             chmod 755 "${INSTALL_PATH}/redd-block-helper.js"
+            chown root:root "${HELPER_SECRET_PATH}"
+            chmod 600 "${HELPER_SECRET_PATH}"
             
-            # Enable and start the service
+            # Enable and (re)start the service so an upgrade replaces the running helper
             systemctl daemon-reload
             systemctl enable redd-block-helper
-            systemctl start redd-block-helper
+            systemctl restart redd-block-helper
             
             echo "Helper installed successfully"
         `;
@@ -213,6 +272,15 @@ function installWindows() {
         // Create data directory
         const dataDir = path.join(process.env.PROGRAMDATA || 'C:\\ProgramData', 'ReDD Block');
 
+        const clientSecretPath = ensureClientSecret();
+
+        // Only SYSTEM and Administrators may read the helper's copy of the secret
+        const secretScriptLines = [
+            '# Copy the client secret where only the helper can read it',
+            "Copy-Item '" + clientSecretPath + "' '" + HELPER_SECRET_PATH + "' -Force",
+            "icacls '" + HELPER_SECRET_PATH + "' /inheritance:r /grant:r 'SYSTEM:F' 'Administrators:F'"
+        ];
+
         // Get the full path to node.exe - we're already running in Node so use process.execPath
         // This ensures SYSTEM user can find node even if it's not in system PATH
         const nodePath = process.execPath;
@@ -230,10 +298,16 @@ function installWindows() {
 New-Item -ItemType Directory -Force -Path "${INSTALL_PATH}"
 New-Item -ItemType Directory -Force -Path "${dataDir}"
 
+# Stop an installed helper so its binary can be replaced
+sc.exe stop "ReddBlockHelper" 2>$null
+Start-Sleep -Seconds 2
+
 # Copy helper binary
 Copy-Item "${helperBinary}" "${path.join(INSTALL_PATH, 'redd-block-helper.exe')}" -Force
 
-# Create Windows Service using sc.exe
+${secretScriptLines.join('\n')}
+
+# Create Windows Service using sc.exe (fails harmlessly when upgrading)
 sc.exe create "ReddBlockHelper" binpath= "${path.join(INSTALL_PATH, 'redd-block-helper.exe')}" start= auto displayname= "ReDD Block Helper"
 sc.exe description "ReddBlockHelper" "Background service for ReDD Block website blocker"
 sc.exe start "ReddBlockHelper"
@@ -251,9 +325,13 @@ Write-Host "Helper installed successfully"
                 "New-Item -ItemType Directory -Force -Path '" + INSTALL_PATH + "'",
                 "New-Item -ItemType Directory -Force -Path '" + dataDir + "'",
                 '',
+                '# Stop a helper started by an earlier install so the new one can take its port',
+                "Get-CimInstance Win32_Process -Filter \"Name = '" + path.basename(nodePath) + "'\" | Where-Object { $_.CommandLine -like '*" + helperScriptPath + "*' } | ForEach-Object { Stop-Process -Id $_.ProcessId -Force }",
+                '',
                 '# Copy helper script files',
-                "Copy-Item '" + path.join(sourcePath, 'redd-block-helper.js') + "' '" + INSTALL_PATH + "\\' -Force",
-                "Copy-Item '" + path.join(sourcePath, 'ipc-client.js') + "' '" + INSTALL_PATH + "\\' -Force",
+                ...HELPER_FILES.map(file => "Copy-Item '" + path.join(sourcePath, file) + "' '" + INSTALL_PATH + "\\' -Force"),
+                '',
+                ...secretScriptLines,
                 '',
                 '# Start the helper process directly (development mode)',
                 "Start-Process -FilePath '" + nodePath + "' -ArgumentList '\"" + helperScriptPath + "\"' -WorkingDirectory '" + INSTALL_PATH + "' -WindowStyle Hidden",
@@ -299,7 +377,7 @@ Write-Host "Helper installed successfully"
 }
 
 /**
- * Install the helper daemon
+ * Install the helper daemon, replacing and restarting an installed one
  * @returns {Promise<boolean>}
  */
 async function installHelper() {
@@ -353,9 +431,135 @@ async function uninstallHelper() {
     });
 }
 
+// Browser extension native messaging host
+
+// The companion extension's IDs (the Chromium one follows from the `key` in its manifest)
+const CHROMIUM_EXTENSION_ID = 'knjeobmeoncgdgkfmnegcppcjmnlnjih';
+const FIREFOX_EXTENSION_ID = 'companion@reddfocus.org';
+
+// Per-user profile folders of Chromium-based browsers; the host is only registered for installed ones
+const CHROMIUM_PROFILE_DIRS = {
+    darwin: ['Google/Chrome', 'Chromium', 'Microsoft Edge', 'BraveSoftware/Brave-Browser']
+        .map(dir => path.join(app.getPath('home'), 'Library', 'Application Support', dir)),
+    linux: ['google-chrome', 'chromium', 'microsoft-edge', 'BraveSoftware/Brave-Browser']
+        .map(dir => path.join(app.getPath('home'), '.config', dir))
+};
+
+const FIREFOX_PROFILE_DIRS = {
+    darwin: path.join(app.getPath('home'), 'Library', 'Application Support', 'Mozilla'),
+    linux: path.join(app.getPath('home'), '.mozilla')
+};
+
+// On Windows, browsers find host manifests through the registry instead
+const CHROMIUM_REGISTRY_HOST_KEYS = [
+    'HKCU\\Software\\Google\\Chrome\\NativeMessagingHosts',
+    'HKCU\\Software\\Chromium\\NativeMessagingHosts',
+    'HKCU\\Software\\Microsoft\\Edge\\NativeMessagingHosts',
+    'HKCU\\Software\\BraveSoftware\\Brave-Browser\\NativeMessagingHosts'
+];
+const FIREFOX_REGISTRY_HOST_KEY = 'HKCU\\Software\\Mozilla\\NativeMessagingHosts';
+
+function buildNativeHostManifest(launcherPath, browser) {
+    const manifest = {
+        name: NATIVE_HOST_NAME,
+        description: 'ReDD Block',
+        path: launcherPath,
+        type: 'stdio'
+    };
+    if (browser === 'firefox') {
+        manifest.allowed_extensions = [FIREFOX_EXTENSION_ID];
+    } else {
+        manifest.allowed_origins = [`chrome-extension://${CHROMIUM_EXTENSION_ID}/`];
+    }
+    return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+/**
+ * Write the script browsers start for the native messaging host. It runs the
+ * host under this app's Electron binary, so it points at wherever the app
+ * currently is.
+ * @returns {string} Path to the script
+ */
+function writeNativeHostLauncher() {
+    const hostDir = path.join(app.getPath('userData'), 'native-host');
+    const hostScript = path.join(__dirname, 'native-host.js');
+    fs.mkdirSync(hostDir, { recursive: true });
+
+    if (process.platform === 'win32') {
+        const launcherPath = path.join(hostDir, 'redd-block-native-host.bat');
+        fs.writeFileSync(launcherPath, [
+            '@echo off',
+            'set ELECTRON_RUN_AS_NODE=1',
+            `"${process.execPath}" "${hostScript}" --secret "${getClientSecretPath()}" %*`
+        ].join('\r\n') + '\r\n');
+        return launcherPath;
+    }
+
+    const quote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+    const launcherPath = path.join(hostDir, 'redd-block-native-host');
+    fs.writeFileSync(launcherPath, [
+        '#!/bin/sh',
+        `ELECTRON_RUN_AS_NODE=1 exec ${quote(process.execPath)} ${quote(hostScript)} --secret ${quote(getClientSecretPath())} "$@"`
+    ].join('\n') + '\n');
+    fs.chmodSync(launcherPath, 0o755);
+    return launcherPath;
+}
+
+/**
+ * Register the native messaging host with the user's browsers so the
+ * companion extension can reach the helper. Needs no admin rights, and is
+ * repeated on every launch because the app may have moved since.
+ */
+function registerNativeHost() {
+    const launcherPath = writeNativeHostLauncher();
+    const manifestName = `${NATIVE_HOST_NAME}.json`;
+
+    if (process.platform === 'win32') {
+        const hostDir = path.dirname(launcherPath);
+        const chromiumManifest = path.join(hostDir, `${NATIVE_HOST_NAME}.chromium.json`);
+        const firefoxManifest = path.join(hostDir, `${NATIVE_HOST_NAME}.firefox.json`);
+        fs.writeFileSync(chromiumManifest, buildNativeHostManifest(launcherPath, 'chromium'));
+        fs.writeFileSync(firefoxManifest, buildNativeHostManifest(launcherPath, 'firefox'));
+
+        const registrations = CHROMIUM_REGISTRY_HOST_KEYS.map(key => [key, chromiumManifest])
+            .concat([[FIREFOX_REGISTRY_HOST_KEY, firefoxManifest]]);
+        registrations.forEach(([key, manifestPath]) => {
+            try {
+                execSync(`reg add "${key}\\${NATIVE_HOST_NAME}" /ve /t REG_SZ /d "${manifestPath}" /f`, { stdio: 'ignore' });
+            } catch (err) {
+                console.warn(`Failed to register native host under ${key}:`, err.message);
+            }
+        });
+        return;
+    }
+
+    const manifestDirs = (CHROMIUM_PROFILE_DIRS[process.platform] || [])
+        .filter(dir => fs.existsSync(dir))
+        .map(dir => ({ dir: path.join(dir, 'NativeMessagingHosts'), browser: 'chromium' }));
+
+    const firefoxDir = FIREFOX_PROFILE_DIRS[process.platform];
+    if (firefoxDir && fs.existsSync(firefoxDir)) {
+        manifestDirs.push({
+            dir: path.join(firefoxDir, process.platform === 'darwin' ? 'NativeMessagingHosts' : 'native-messaging-hosts'),
+            browser: 'firefox'
+        });
+    }
+
+    manifestDirs.forEach(({ dir, browser }) => {
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, manifestName), buildNativeHostManifest(launcherPath, browser));
+        } catch (err) {
+            console.warn(`Failed to register native host in ${dir}:`, err.message);
+        }
+    });
+}
+
 module.exports = {
     isHelperInstalled,
     installHelper,
     uninstallHelper,
-    getSourceHelperPath
+    getSourceHelperPath,
+    getClientSecretPath,
+    registerNativeHost
 };
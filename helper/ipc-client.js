@@ -2,118 +2,327 @@
  * IPC Client for ReDD Block Helper Daemon
  * 
  * This module provides a simple interface for the main Electron app
- * to communicate with the privileged helper daemon.
+ * to communicate with the privileged helper daemon. Commands share one
+ * persistent connection and carry request ids, so concurrent calls get their
+ * own responses.
  */
 
 const net = require('net');
+const fs = require('fs');
 const path = require('path');
+const { computeResponse } = require('./auth');
+const { PROTOCOL_VERSION } = require('./protocol');
 
 const SOCKET_PATH = process.platform === 'win32'
     ? 62222  // Use TCP port on Windows to match helper
     : '/tmp/redd-block-helper.sock';
 
 const CONNECTION_TIMEOUT = 5000;
+
+// Helpers from before authentication never send a challenge; one that hasn't sent
+// it this long after connecting is taken to be one of those
+const CHALLENGE_TIMEOUT = 1000;
 const RESPONSE_TIMEOUT = 10000;
 
+// While someone listens for events, reconnect after this delay, doubling it after each failure
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
 class HelperClient {
     constructor() {
-        this.connected = false;
+        this.connected = false; // Authenticated and ready for requests
         this.socket = null;
+        this.secretPath = null;
+        this.socketPath = SOCKET_PATH;
+        this.expectChallenge = false; // Set once the helper is known to send a challenge, however late
+        this.nextId = 1;
+        this.queue = []; // Requests waiting for the connection: { id, command, resolve, reject }
+        this.pending = new Map(); // id -> request sent to the helper and awaiting its response
+        this.eventListeners = new Set();
+        this.reconnectDelay = RECONNECT_DELAY;
+        this.reconnectTimer = null;
+    }
+
+    /**
+     * Talk to a helper listening somewhere else, e.g. one started with --sandbox or a
+     * stand-in helper in tests
+     * @param {string|number} socketPath - Unix socket path, or TCP port on 127.0.0.1
+     */
+    setSocketPath(socketPath) {
+        this.socketPath = socketPath;
+    }
+
+    /**
+     * Set where the shared secret used to authenticate with the helper is stored
+     * @param {string} secretPath - Path to the client's copy of the secret
+     */
+    setSecretPath(secretPath) {
+        this.secretPath = secretPath;
+    }
+
+    readSecret() {
+        try {
+            return fs.readFileSync(this.secretPath, 'utf8').trim();
+        } catch (err) {
+            throw new Error('Helper secret not found - please reinstall the helper');
+        }
     }
 
     /**
-     * Send a command to the helper daemon
+     * Send a command to the helper daemon over the shared connection, opening
+     * and authenticating it first if needed
      * @param {Object} command - The command to send
      * @returns {Promise<Object>} - The response from the daemon
      */
     async send(command) {
         return new Promise((resolve, reject) => {
-            const socket = new net.Socket();
-            let responseBuffer = '';
-            let resolved = false;
+            this.queue.push({ id: this.nextId++, command, resolve, reject });
 
-            const cleanup = () => {
-                if (!socket.destroyed) {
-                    socket.destroy();
-                }
-            };
+            if (this.connected) {
+                this.flushQueue();
+            } else {
+                this.connect();
+            }
+        });
+    }
 
-            const connectionTimeout = setTimeout(() => {
-                if (!resolved) {
-                    resolved = true;
-                    cleanup();
-                    reject(new Error('Connection timeout - helper daemon may not be running'));
-                }
-            }, CONNECTION_TIMEOUT);
+    connect() {
+        if (this.socket) return;
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        const socket = new net.Socket();
+        this.socket = socket;
+
+        let buffer = '';
+        // The helper sends a challenge and answers the auth line before taking requests
+        let stage = 'challenge';
+
+        const connectionTimeout = setTimeout(() => {
+            this.disconnect(socket, new Error('Connection timeout - helper daemon may not be running'));
+        }, CONNECTION_TIMEOUT);
+        let challengeTimeout = null;
+
+        // A helper from before authentication takes requests straight away. It answers
+        // `hello` with "Unknown command", which tells the app to upgrade it.
+        const acceptLegacyHelper = () => {
+            if (this.socket !== socket || stage !== 'challenge') return;
+            clearTimeout(connectionTimeout);
+            stage = 'legacy';
+            this.onReady();
+        };
 
-            const responseTimeout = setTimeout(() => {
-                if (!resolved) {
-                    resolved = true;
-                    cleanup();
-                    reject(new Error('Response timeout'));
+        socket.on('connect', () => {
+            if (!this.expectChallenge) {
+                challengeTimeout = setTimeout(acceptLegacyHelper, CHALLENGE_TIMEOUT);
+            }
+        });
+
+        socket.on('data', (data) => {
+            buffer += data.toString();
+
+            // Handle complete messages (newline-delimited JSON)
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.substring(0, newlineIndex);
+                buffer = buffer.substring(newlineIndex + 1);
+                if (this.socket !== socket) return;
+
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch (err) {
+                    return this.disconnect(socket, new Error('Invalid response from helper: ' + line));
                 }
-            }, RESPONSE_TIMEOUT);
 
-            socket.on('connect', () => {
-                clearTimeout(connectionTimeout);
-                // Send the command as JSON with newline delimiter
-                socket.write(JSON.stringify(command) + '\n');
-            });
-
-            socket.on('data', (data) => {
-                responseBuffer += data.toString();
-
-                // Check for complete response (newline-delimited)
-                const newlineIndex = responseBuffer.indexOf('\n');
-                if (newlineIndex !== -1) {
-                    const responseStr = responseBuffer.substring(0, newlineIndex);
-
-                    if (!resolved) {
-                        resolved = true;
-                        clearTimeout(connectionTimeout);
-                        clearTimeout(responseTimeout);
-                        cleanup();
-
-                        try {
-                            const response = JSON.parse(responseStr);
-                            resolve(response);
-                        } catch (err) {
-                            reject(new Error('Invalid response from helper: ' + responseStr));
-                        }
-                    }
+                if (stage === 'legacy' && message.challenge) {
+                    // The helper was only slow to send its challenge, and refuses the requests
+                    // that went out unauthenticated. Send them again on a new connection.
+                    this.expectChallenge = true;
+                    return this.reconnect(socket);
                 }
-            });
 
-            socket.on('error', (err) => {
-                if (!resolved) {
-                    resolved = true;
-                    clearTimeout(connectionTimeout);
-                    clearTimeout(responseTimeout);
-                    cleanup();
+                if (stage === 'challenge') {
+                    clearTimeout(challengeTimeout);
 
-                    if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
-                        reject(new Error('Helper daemon not running. Please install the helper first.'));
-                    } else {
-                        reject(err);
+                    let secret;
+                    try {
+                        secret = this.readSecret();
+                    } catch (err) {
+                        return this.disconnect(socket, err);
                     }
-                }
-            });
 
-            socket.on('close', () => {
-                if (!resolved) {
-                    resolved = true;
+                    socket.write(JSON.stringify({
+                        action: 'auth',
+                        response: computeResponse(secret, message.challenge)
+                    }) + '\n');
+                    stage = 'auth';
+                } else if (stage === 'auth') {
+                    if (!message.success) {
+                        return this.disconnect(socket, new Error(message.error || 'Authentication with helper failed'));
+                    }
                     clearTimeout(connectionTimeout);
-                    clearTimeout(responseTimeout);
-                    reject(new Error('Connection closed unexpectedly'));
+                    stage = 'ready';
+                    this.onReady();
+                } else {
+                    this.handleMessage(message);
                 }
-            });
+            }
+        });
 
-            if (process.platform === 'win32' && typeof SOCKET_PATH === 'number') {
-                socket.connect(SOCKET_PATH, '127.0.0.1');
+        socket.on('error', (err) => {
+            if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
+                this.disconnect(socket, new Error('Helper daemon not running. Please install the helper first.'));
             } else {
-                socket.connect(SOCKET_PATH);
+                this.disconnect(socket, err);
             }
         });
+
+        socket.on('close', () => {
+            clearTimeout(connectionTimeout);
+            clearTimeout(challengeTimeout);
+            this.disconnect(socket, new Error('Connection closed unexpectedly'));
+        });
+
+        if (typeof this.socketPath === 'number') {
+            socket.connect(this.socketPath, '127.0.0.1');
+        } else {
+            socket.connect(this.socketPath);
+        }
+    }
+
+    onReady() {
+        this.connected = true;
+        this.reconnectDelay = RECONNECT_DELAY;
+
+        // A new connection isn't subscribed yet; subscribe() queues its own request on first use
+        if (this.eventListeners.size > 0 && !this.queue.some(request => request.command.action === 'subscribe')) {
+            this.send({ action: 'subscribe' }).catch(() => {});
+        }
+
+        this.flushQueue();
+    }
+
+    flushQueue() {
+        while (this.queue.length > 0) {
+            const request = this.queue.shift();
+
+            // The timeout only covers the helper's own handling of the request
+            request.timer = setTimeout(() => {
+                this.pending.delete(request.id);
+                request.reject(new Error('Response timeout'));
+            }, RESPONSE_TIMEOUT);
+            this.pending.set(request.id, request);
+
+            this.socket.write(JSON.stringify({ id: request.id, ...request.command }) + '\n');
+        }
+    }
+
+    handleMessage(message) {
+        if (message.event) {
+            this.eventListeners.forEach(listener => listener(message));
+            return;
+        }
+
+        // Helpers before protocol 2 don't echo ids, but answer in order
+        const id = message.id !== undefined ? message.id : this.pending.keys().next().value;
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        clearTimeout(request.timer);
+        this.pending.delete(id);
+
+        if (message.error && typeof message.error === 'object') {
+            request.resolve({ success: false, error: message.error.message, code: message.error.code });
+        } else if (message.result !== undefined) {
+            request.resolve(message.result);
+        } else {
+            request.resolve(message);
+        }
+    }
+
+    disconnect(socket, err) {
+        if (this.socket !== socket) return;
+
+        this.socket = null;
+        this.connected = false;
+        if (!socket.destroyed) {
+            socket.destroy();
+        }
+
+        // Requests already sent may or may not have run, so they fail rather than being resent
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(err);
+        });
+        this.pending.clear();
+        this.queue.splice(0).forEach(request => request.reject(err));
+
+        if (this.eventListeners.size > 0) {
+            this.scheduleReconnect();
+        }
+    }
+
+    // Drop the connection and resend its requests on a new one; only for requests
+    // the helper is known not to have run
+    reconnect(socket) {
+        this.socket = null;
+        this.connected = false;
+        socket.destroy();
+
+        this.pending.forEach(request => clearTimeout(request.timer));
+        this.queue.unshift(...this.pending.values());
+        this.pending.clear();
+        this.connect();
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+    }
+
+    /**
+     * Stop listening for events and close the connection
+     */
+    close() {
+        this.eventListeners.clear();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            this.disconnect(this.socket, new Error('Connection closed'));
+        }
+    }
+
+    /**
+     * Exchange versions with the helper
+     * @returns {Promise<Object>} - { success, protocolVersion, helperVersion, actions }; helpers
+     *   that predate the handshake answer with an "Unknown command" error instead
+     */
+    async hello() {
+        return this.send({ action: 'hello', protocolVersion: PROTOCOL_VERSION });
+    }
+
+    /**
+     * Receive block and tamper events from the helper. The client reconnects and
+     * subscribes again whenever the helper restarts, until close() is called.
+     * @param {Function} onEvent - Called with each event ({ event, blockId?, timestamp, ... })
+     * @returns {Promise<Object>} - { success, events }
+     */
+    async subscribe(onEvent) {
+        this.eventListeners.add(onEvent);
+
+        const response = await this.send({ action: 'subscribe' });
+        if (!response.success) {
+            // Helpers without events would refuse every retry too
+            this.eventListeners.delete(onEvent);
+        }
+        return response;
     }
 
     /**
@@ -130,31 +339,162 @@ class HelperClient {
 
     /**
      * Start a block
+     * @param {string} blockId - ID of the block (each block is tracked separately)
      * @param {string[]} domains - Domains to block
      * @param {number} endTime - Unix timestamp when block should end
      * @param {string} blocklistId - ID of the blocklist
+     * @param {Object} [options]
+     * @param {string} [options.blocklistName] - Name shown on the block page
+     * @param {string} [options.mode] - 'blocklist' or 'allowlist' (only the domains are reachable)
+     * @param {boolean} [options.subdomains] - Also block every subdomain of the domains
+     * @param {boolean} [options.blockPage] - Show a block page on blocked sites instead of a connection error
+     * @param {Object} [options.override] - Override policy ({ type, count, customText }) the helper enforces
      */
-    async startBlock(domains, endTime, blocklistId) {
+    async startBlock(blockId, domains, endTime, blocklistId, { blocklistName, mode, subdomains, blockPage, override } = {}) {
         return this.send({
             action: 'start-block',
+            blockId,
+            domains,
+            endTime,
+            blocklistId,
+            blocklistName,
+            mode,
+            subdomains,
+            blockPage,
+            override
+        });
+    }
+
+    /**
+     * Schedule a block to start in the future; the helper applies it at startTime
+     * even if the app is no longer running
+     * @param {string} blockId - ID of the block
+     * @param {string[]} domains - Domains to block
+     * @param {number} startTime - Unix timestamp when block should start
+     * @param {number} endTime - Unix timestamp when block should end
+     * @param {string} blocklistId - ID of the blocklist
+     * @param {Object} [options] - { blocklistName, mode, subdomains, blockPage, override }, as for startBlock
+     */
+    async scheduleBlock(blockId, domains, startTime, endTime, blocklistId, { blocklistName, mode, subdomains, blockPage, override } = {}) {
+        return this.send({
+            action: 'schedule-block',
+            blockId,
             domains,
+            startTime,
             endTime,
-            blocklistId
+            blocklistId,
+            blocklistName,
+            mode,
+            subdomains,
+            blockPage,
+            override
         });
     }
 
     /**
-     * Clear the current block
+     * Replace the recurring schedules of a blocklist (an empty list removes them)
+     * @param {string} blocklistId - ID of the blocklist
+     * @param {string[]} domains - Domains to block during each occurrence
+     * @param {Object[]} schedules - [{ id, days: number[], start: 'HH:MM', end: 'HH:MM' }]
+     * @param {string} timeZone - IANA time zone the schedule times are in
+     * @param {Object} [options] - { blocklistName, mode, subdomains, blockPage, override }, as for startBlock
+     */
+    async setSchedules(blocklistId, domains, schedules, timeZone, { blocklistName, mode, subdomains, blockPage, override } = {}) {
+        return this.send({
+            action: 'set-schedules',
+            blocklistId,
+            domains,
+            schedules,
+            timeZone,
+            blocklistName,
+            mode,
+            subdomains,
+            blockPage,
+            override
+        });
+    }
+
+    /**
+     * Clear a single block. Running blocks are only cleared if their override
+     * policy is 'none'; otherwise use requestOverride/confirmOverride. Locked
+     * blocks can't be cleared while running.
+     * @param {string} blockId - ID of the block to clear
+     */
+    async clearBlock(blockId) {
+        return this.send({ action: 'clear-block', blockId });
+    }
+
+    /**
+     * Make a running block end later. Needs no override, since it can't shorten the block.
+     * @param {string} blockId - ID of the running block
+     * @param {number} endTime - New end time (ms), later than the current one
+     * @returns {Promise<Object>} { success, endTime }
+     */
+    async extendBlock(blockId, endTime) {
+        return this.send({ action: 'extend-block', blockId, endTime });
+    }
+
+    /**
+     * Report an attempt to visit a site a running block covers. The helper
+     * counts it per domain, except repeats of an attempt seconds earlier.
+     * @param {string} blockId - ID of the running block
+     * @param {string} url - Address that was visited; the helper only keeps its domain
+     * @param {string} [source] - What noticed the attempt, e.g. 'extension'
+     * @returns {Promise<Object>} { success, counted }
+     */
+    async reportAttempt(blockId, url, source) {
+        return this.send({ action: 'report-attempt', blockId, url, source });
+    }
+
+    /**
+     * Ask the helper for the challenge that ends a running block early
+     * @param {string} blockId - ID of the running block
+     * @returns {Promise<Object>} { challengeId, type: 'none'|'typing'|'delay', text?, readyAt? },
+     *   or { success: false, locked: true } for locked blocks
+     */
+    async requestOverride(blockId) {
+        return this.send({ action: 'request-override', blockId });
+    }
+
+    /**
+     * Answer an override challenge; the helper clears the block if it is correct
+     * @param {string} blockId - ID of the running block
+     * @param {string} challengeId - ID returned by requestOverride
+     * @param {string} [response] - Typed text for typing challenges
+     */
+    async confirmOverride(blockId, challengeId, response) {
+        return this.send({ action: 'confirm-override', blockId, challengeId, response });
+    }
+
+    /**
+     * Restore the user's own hosts file entries from one of the helper's backups.
+     * Entries for running blocks are kept.
+     * @param {string} [backup] - Name of the backup, defaults to the newest
+     * @returns {Promise<Object>} { success, restored, backups: string[] }
+     */
+    async restoreHosts(backup) {
+        return this.send({ action: 'restore-hosts', backup });
+    }
+
+    /**
+     * Read the helper's journal of block starts, activations, expiries and early
+     * clears (both with the block's attempt counts), attempts and tamper repairs
+     * @param {Object} [range]
+     * @param {number} [range.from] - Unix timestamp, inclusive
+     * @param {number} [range.to] - Unix timestamp, exclusive
+     * @returns {Promise<Object>} { success, events: [{ timestamp, type, ... }] }
      */
-    async clearBlock() {
-        return this.send({ action: 'clear-block' });
+    async getHistory({ from, to } = {}) {
+        return this.send({ action: 'get-history', from, to });
     }
 
     /**
-     * Get the current block status
+     * Get the status of one block, or of all running blocks if no ID is given.
+     * Running blocks include their attempt counts ({ [domain]: count }).
+     * @param {string} [blockId] - ID of the block
      */
-    async getStatus() {
-        return this.send({ action: 'get-status' });
+    async getStatus(blockId) {
+        return this.send({ action: 'get-status', blockId });
     }
 }
 
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Native messaging host for the ReDD Block browser extension
+ *
+ * Browsers start this process when the companion extension connects and
+ * talk to it over stdin/stdout: every message is JSON preceded by its length
+ * as a 32-bit native-endian integer. It runs as the user, under the app's own
+ * Electron binary (ELECTRON_RUN_AS_NODE), and relays between the extension
+ * and the helper daemon:
+ * - Sends `{ type: 'blocks', blocks }` with the running blocks when the
+ *   extension connects or asks (`get-blocks`), and again whenever the helper
+ *   reports that a block started, was extended, expired or was cleared
+ * - Passes `{ type: 'attempt', blockId, url }` on to the helper as an
+ *   attempted visit
+ *
+ * Usage: native-host.js --secret <path to the app's helper secret> [origin]
+ */
+
+const helperClient = require('./ipc-client');
+const { parseUrlEntry, expandAllowlist } = require('./dns-policy');
+
+// Must match the name in the host manifests and the extension
+const NATIVE_HOST_NAME = 'org.reddfocus.redd_block';
+
+// Browsers refuse messages to the extension larger than 1 MB
+const MAX_OUTGOING_BYTES = 1024 * 1024;
+
+// Helper events after which the extension gets the new set of running blocks
+const BLOCK_EVENTS = ['block-started', 'block-extended', 'block-expired', 'block-cleared'];
+
+let subscribed = false;
+
+function getOption(flag) {
+    const index = process.argv.indexOf(flag);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
+
+// Messages to the extension
+function send(message) {
+    const body = Buffer.from(JSON.stringify(message));
+    if (body.length > MAX_OUTGOING_BYTES) {
+        console.error(`Message to the extension too large (${body.length} bytes), dropped`);
+        return;
+    }
+
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(body.length, 0);
+    process.stdout.write(Buffer.concat([header, body]));
+}
+
+// What the extension needs to recognize a block's sites without the helper's modules
+function describeBlock(status) {
+    return {
+        blockId: status.blockId,
+        blocklistId: status.blocklistId,
+        endTime: status.endTime,
+        mode: status.mode,
+        subdomains: status.subdomains,
+        entries: status.domains.map(parseUrlEntry).filter(entry => entry.host),
+        allowedHosts: status.mode === 'allowlist' ? expandAllowlist(status.domains) : undefined
+    };
+}
+
+// Listen for block changes; retried on the next refresh if the helper wasn't reachable
+async function subscribeToHelper() {
+    if (subscribed) return;
+    subscribed = true;
+
+    try {
+        const response = await helperClient.subscribe((event) => {
+            if (BLOCK_EVENTS.includes(event.event)) {
+                sendBlocks();
+            }
+        });
+        subscribed = response.success;
+    } catch (err) {
+        subscribed = false;
+        console.error('Helper events unavailable:', err.message);
+    }
+}
+
+async function sendBlocks() {
+    subscribeToHelper();
+
+    try {
+        const status = await helperClient.getStatus();
+        send({ type: 'blocks', blocks: (status.blocks || []).map(describeBlock), helperAvailable: true });
+    } catch (err) {
+        send({ type: 'blocks', blocks: [], helperAvailable: false, error: err.message });
+    }
+}
+
+// Messages from the extension
+async function handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'get-blocks') {
+        await sendBlocks();
+    } else if (message.type === 'attempt') {
+        try {
+            const result = await helperClient.reportAttempt(message.blockId, message.url, 'extension');
+            if (!result.success) {
+                console.error('Attempt not recorded:', result.error);
+            }
+        } catch (err) {
+            console.error('Failed to report attempt:', err.message);
+        }
+    }
+}
+
+function readMessages() {
+    let buffer = Buffer.alloc(0);
+
+    process.stdin.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+
+        while (buffer.length >= 4 && buffer.length >= 4 + buffer.readUInt32LE(0)) {
+            const length = buffer.readUInt32LE(0);
+            const body = buffer.subarray(4, 4 + length);
+            buffer = buffer.subarray(4 + length);
+
+            let message;
+            try {
+                message = JSON.parse(body.toString('utf8'));
+            } catch (err) {
+                console.error('Invalid message from the extension');
+                continue;
+            }
+            handleMessage(message);
+        }
+    });
+
+    // The browser closes stdin when the extension disconnects
+    process.stdin.on('end', () => {
+        helperClient.close();
+        process.exit(0);
+    });
+}
+
+function main() {
+    // stdout carries the protocol; anything else goes to stderr, which browsers log
+    const secretPath = getOption('--secret');
+    if (secretPath) {
+        helperClient.setSecretPath(secretPath);
+    }
+
+    readMessages();
+    sendBlocks();
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    NATIVE_HOST_NAME
+};
@@ -0,0 +1,106 @@
+/**
+ * Override policies for ReDD Block
+ *
+ * A blocklist's override policy decides what it takes to end one of its
+ * blocks early:
+ * - 'none': the block can be ended at any time
+ * - 'random-words', 'gibberish', 'custom': type a challenge text
+ * - 'delay': wait `count` minutes after asking
+ * - 'locked': the block can't be ended early at all, only extended
+ *
+ * The helper issues and checks the challenges; the renderer uses the same
+ * code when the helper isn't available.
+ */
+
+const TYPING_POLICIES = ['random-words', 'gibberish', 'custom'];
+const POLICY_TYPES = ['none', 'delay', 'locked', ...TYPING_POLICIES];
+
+const DEFAULT_POLICY = { type: 'random-words', count: 10 };
+
+// Word list for random word challenges
+const WORD_LIST = [
+    'focus', 'calm', 'peace', 'work', 'goal', 'dream', 'hope', 'light',
+    'time', 'life', 'mind', 'soul', 'heart', 'love', 'free', 'flow',
+    'grow', 'rise', 'shine', 'bloom', 'trust', 'faith', 'grace', 'pure',
+    'clear', 'bright', 'fresh', 'new', 'open', 'wide', 'deep', 'true',
+    'strong', 'brave', 'bold', 'wise', 'kind', 'warm', 'soft', 'gentle'
+];
+
+/**
+ * Fill in defaults for a missing or unknown policy
+ * @param {Object} [policy] - A blocklist's overrideDifficulty ({ type, count, customText })
+ * @returns {{ type: string, count: number, customText?: string }}
+ */
+function normalizePolicy(policy) {
+    if (!policy || !POLICY_TYPES.includes(policy.type)) {
+        return { ...DEFAULT_POLICY };
+    }
+    // Custom text that is empty falls back to random words
+    if (policy.type === 'custom' && !(policy.customText || '').trim()) {
+        return { type: 'random-words', count: policy.count || DEFAULT_POLICY.count };
+    }
+    return {
+        type: policy.type,
+        count: parseInt(policy.count, 10) || DEFAULT_POLICY.count,
+        customText: policy.type === 'custom' ? policy.customText : undefined
+    };
+}
+
+/**
+ * Check whether a policy asks for a challenge text to be typed
+ * @param {Object} policy - Normalized policy
+ */
+function isTypingPolicy(policy) {
+    return TYPING_POLICIES.includes(policy.type);
+}
+
+/**
+ * Check whether a policy forbids ending a running block early
+ * @param {Object} policy - Normalized policy
+ */
+function isLockedPolicy(policy) {
+    return policy.type === 'locked';
+}
+
+function generateRandomWords(count) {
+    const words = [];
+    for (let i = 0; i < count; i++) {
+        words.push(WORD_LIST[Math.floor(Math.random() * WORD_LIST.length)]);
+    }
+    return words.join(' ');
+}
+
+function generateGibberish(count) {
+    const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < count; i++) {
+        result += chars[Math.floor(Math.random() * chars.length)];
+    }
+    return result;
+}
+
+/**
+ * Generate the text to type for a typing policy
+ * @param {Object} policy - Normalized policy
+ * @returns {string}
+ */
+function createChallengeText(policy) {
+    let text;
+    if (policy.type === 'custom') {
+        text = policy.customText;
+    } else if (policy.type === 'gibberish') {
+        text = generateGibberish(policy.count);
+    } else {
+        text = generateRandomWords(policy.count);
+    }
+
+    // Sanitize: remove linebreaks and collapse multiple spaces
+    return text.replace(/[\r\n]+/g, ' ').replace(/\s{2,}/g, ' ').trim();
+}
+
+module.exports = {
+    normalizePolicy,
+    isTypingPolicy,
+    isLockedPolicy,
+    createChallengeText
+};
@@ -0,0 +1,72 @@
+/**
+ * pf rules for the ReDD Block helper on macOS
+ *
+ * Builds the contents of the ReDD Block anchor and its registration in
+ * pf.conf. Nothing here touches the system, so the output can be checked on
+ * any platform; the helper writes the files and runs pfctl.
+ */
+
+const PF_ANCHOR_NAME = 'com.redd.block';
+const PF_ANCHOR_PATH = '/etc/pf.anchors/com.redd.block';
+const PF_CONF_PATH = '/etc/pf.conf';
+
+const PF_TABLE = 'redd_block';
+
+/**
+ * Build the anchor rules that block outbound traffic to the given addresses
+ * @param {{ ipv4: string[], ipv6: string[] }} addresses - Resolved addresses of blocked domains
+ * @param {Date} [generatedAt] - Timestamp for the header comment
+ * @returns {string}
+ */
+function buildPfAnchorRules(addresses, generatedAt = new Date()) {
+    const all = [...addresses.ipv4, ...addresses.ipv6];
+    const lines = [
+        `# ReDD Block pf rules - generated ${generatedAt.toISOString()}`,
+        all.length > 0
+            ? `table <${PF_TABLE}> persist { ${all.join(', ')} }`
+            : `table <${PF_TABLE}> persist`,
+        // "return" sends a reset/unreachable so connections fail immediately
+        `block return out quick proto { tcp, udp } from any to <${PF_TABLE}>`
+    ];
+    return lines.join('\n') + '\n';
+}
+
+function getAnchorLines() {
+    return [
+        `anchor "${PF_ANCHOR_NAME}"`,
+        `load anchor "${PF_ANCHOR_NAME}" from "${PF_ANCHOR_PATH}"`
+    ];
+}
+
+/**
+ * Add the ReDD Block anchor to pf.conf content if it isn't registered yet
+ * @param {string} content - Current pf.conf
+ * @returns {string} Updated pf.conf (unchanged if already registered)
+ */
+function addAnchorToPfConf(content) {
+    if (content.includes(`"${PF_ANCHOR_NAME}"`)) {
+        return content;
+    }
+    return content.trimEnd() + '\n' + getAnchorLines().join('\n') + '\n';
+}
+
+/**
+ * Remove the ReDD Block anchor lines from pf.conf content
+ * @param {string} content - Current pf.conf
+ * @returns {string}
+ */
+function removeAnchorFromPfConf(content) {
+    return content
+        .split('\n')
+        .filter(line => !line.includes(`"${PF_ANCHOR_NAME}"`))
+        .join('\n');
+}
+
+module.exports = {
+    PF_ANCHOR_NAME,
+    PF_ANCHOR_PATH,
+    PF_CONF_PATH,
+    buildPfAnchorRules,
+    addAnchorToPfConf,
+    removeAnchorFromPfConf
+};
@@ -0,0 +1,95 @@
+/**
+ * Protocol versioning for the ReDD Block helper
+ *
+ * The app and the helper are installed separately, so an updated app can
+ * find an older helper still running. Clients open with a `hello` command;
+ * the helper answers with the versions below and the actions it supports,
+ * and the app compares them with its own copy of this file to decide whether
+ * the helper needs upgrading.
+ *
+ * Since protocol 2, requests carry an `id` and the helper answers
+ * JSON-RPC-style with `{ id, result }`, or `{ id, error: { code, message } }`
+ * when the request itself couldn't be handled. Requests without an id get
+ * the bare response older clients expect.
+ */
+
+// Bump when a message changes in a way older clients or helpers can't handle
+const PROTOCOL_VERSION = 2;
+
+// JSON-RPC error codes for requests the helper couldn't handle
+const ERROR_CODES = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INTERNAL_ERROR: -32603,
+    NOT_AUTHENTICATED: -32001
+};
+
+// Keep in sync with helper/package.json
+const HELPER_VERSION = '1.8.0';
+
+/**
+ * Format a command's response for the client that sent it
+ * @param {Object} command - The request (undefined if it couldn't be parsed)
+ * @param {Object} response - The handler's { success, ... } response
+ * @returns {string} Newline-terminated message
+ */
+function formatResult(command, response) {
+    const message = command && command.id !== undefined
+        ? { id: command.id, result: response }
+        : response;
+    return JSON.stringify(message) + '\n';
+}
+
+/**
+ * Format an error for a request the helper couldn't handle
+ * @param {Object} command - The request (undefined if it couldn't be parsed)
+ * @param {number} code - One of ERROR_CODES
+ * @param {string} errorMessage - Human-readable error
+ * @returns {string} Newline-terminated message
+ */
+function formatError(command, code, errorMessage) {
+    const message = command && command.id !== undefined
+        ? { id: command.id, error: { code, message: errorMessage } }
+        : { success: false, error: errorMessage };
+    return JSON.stringify(message) + '\n';
+}
+
+/**
+ * Compare two dotted version strings
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+    const partsA = String(a || '0').split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b || '0').split('.').map(part => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Decide whether a running helper is older than the one this app ships
+ * @param {Object} hello - The helper's answer to `hello`; helpers from before
+ *   the handshake answer with an "Unknown command" error
+ * @returns {boolean}
+ */
+function needsUpgrade(hello) {
+    if (!hello || !hello.success) {
+        return true;
+    }
+    return (hello.protocolVersion || 0) < PROTOCOL_VERSION ||
+        compareVersions(hello.helperVersion, HELPER_VERSION) < 0;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    HELPER_VERSION,
+    ERROR_CODES,
+    formatResult,
+    formatError,
+    compareVersions,
+    needsUpgrade
+};
@@ -4,13 +4,41 @@
  * 
  * This privileged helper runs as root and manages website blocking.
  * It communicates with the main Electron app via IPC (Unix socket on macOS/Linux,
- * named pipe on Windows).
+ * TCP on Windows). Clients must answer a challenge with the per-install
+ * secret before any command is accepted.
  * 
  * The daemon:
- * - Listens for commands from the main app
- * - Manages the hosts file and firewall rules
- * - Automatically clears blocks when they expire
- * - Re-applies rules if the hosts file is tampered with
+ * - Listens for commands from the main app and reports its version and
+ *   supported actions in answer to `hello`
+ * - Manages the hosts file and firewall rules (firewall rules block the
+ *   resolved addresses of blocked domains and are refreshed periodically)
+ * - Starts scheduled blocks and clears them when they expire, even with the app closed
+ * - Owns each block's override policy and only ends a running block early
+ *   once its challenge has been answered, or never if the policy is
+ *   'locked'; running blocks can be extended
+ *   (`extend-block`) but never shortened
+ * - Enforces recurring weekly schedules
+ * - Enforces allowlist blocks and subdomain blocking through a local DNS proxy
+ * - Keeps browsers from bypassing the hosts file over DNS-over-HTTPS while
+ *   blocks run (canary domain, known DoH resolvers, browser policies merged
+ *   into any the user already set)
+ * - Blocks entries with a path (youtube.com/shorts) inside browsers through
+ *   their URLBlocklist/URLAllowlist and Firefox WebsiteFilter policies
+ * - Serves a block page on loopback for blocks that ask for one, pointing
+ *   their sites there instead of 0.0.0.0 and recording each visit
+ * - Writes the hosts file atomically and keeps rotating backups of the
+ *   user's own entries, restorable with `restore-hosts`
+ * - Times blocks with a clock that ignores changes to the system clock, and
+ *   records those changes as tampering
+ * - Re-applies rules if the hosts file is tampered with (the section it wrote
+ *   is checked against a hash) and records when that happened
+ * - Counts attempted visits to each block's sites per domain (reported by
+ *   the extension, the block page and the DNS proxy)
+ * - Keeps an append-only journal of block starts, activations, extensions,
+ *   expiries and early clears (with the attempt counts), attempted visits and
+ *   tamper repairs, queryable with `get-history`
+ * - Pushes block-started/extended/expired/cleared/attempted and tamper-detected events to
+ *   clients that sent `subscribe`
  */
 
 const fs = require('fs');
@@ -18,27 +46,153 @@ const path = require('path');
 const net = require('net');
 const { execSync, exec } = require('child_process');
 const os = require('os');
+const crypto = require('crypto');
+const { getOccurrences, isValidSchedule, getSystemTimeZone } = require('./schedule');
+const { DOH_CANARY_DOMAIN, DOH_ENDPOINTS, normalizeDomain, hasUrlPath, blockCoversName, isNameBlocked, needsDnsPolicy } = require('./dns-policy');
+const {
+    DnsProxy,
+    captureResolverConfig,
+    useLocalResolver,
+    isUsingLocalResolver,
+    restoreResolverConfig
+} = require('./dns-proxy');
+const { resolveDomains } = require('./domain-resolver');
+const {
+    PF_ANCHOR_NAME,
+    PF_ANCHOR_PATH,
+    PF_CONF_PATH,
+    buildPfAnchorRules,
+    addAnchorToPfConf,
+    removeAnchorFromPfConf
+} = require('./pf-rules');
+const windowsFirewall = require('./windows-firewall');
+const browserPolicies = require('./browser-policies');
+const { createChallenge, verifyResponse } = require('./auth');
+const { normalizePolicy, isTypingPolicy, isLockedPolicy, createChallengeText } = require('./override');
+const { PROTOCOL_VERSION, HELPER_VERSION, ERROR_CODES, formatResult, formatError } = require('./protocol');
+const { TrustedClock } = require('./trusted-clock');
+const { BLOCK_PAGE_IPV4, BLOCK_PAGE_IPV6, BLOCK_PAGE_PORTS, BlockPageServer } = require('./block-page');
+
+// Command-line flag, or environment variable if the flag isn't given
+function getOption(flag, envName) {
+    const index = process.argv.indexOf(flag);
+    if (index !== -1 && process.argv[index + 1]) {
+        return process.argv[index + 1];
+    }
+    return process.env[envName] || null;
+}
+
+// Sandbox mode (--sandbox <dir> or REDD_BLOCK_SANDBOX) keeps every file under
+// one directory and leaves the firewall and DNS settings alone, so the helper
+// can run unprivileged in integration tests. --socket, --state and --hosts
+// (REDD_BLOCK_SOCKET, REDD_BLOCK_STATE, REDD_BLOCK_HOSTS) override single paths.
+const SANDBOX_DIR = getOption('--sandbox', 'REDD_BLOCK_SANDBOX');
+const SANDBOXED = !!SANDBOX_DIR;
+
+// Sandboxed helpers only serve the block page on the port given with
+// --block-page-port (REDD_BLOCK_PAGE_PORT), since ports 80 and 443 need root
+function getBlockPagePorts() {
+    const option = getOption('--block-page-port', 'REDD_BLOCK_PAGE_PORT');
+    if (option) return [parseInt(option, 10)];
+    return SANDBOXED ? [] : BLOCK_PAGE_PORTS;
+}
+
+function getSocketPath() {
+    const option = getOption('--socket', 'REDD_BLOCK_SOCKET');
+    if (option) {
+        // A bare number is a TCP port
+        return /^\d+$/.test(option) ? parseInt(option, 10) : option;
+    }
+    if (process.platform === 'win32') {
+        return 62222;  // Use TCP port on Windows to avoid Named Pipe permission issues between Admin/User
+    }
+    return SANDBOXED ? path.join(SANDBOX_DIR, 'helper.sock') : '/tmp/redd-block-helper.sock';
+}
+
+function getDataPath() {
+    const option = getOption('--state', 'REDD_BLOCK_STATE');
+    if (option) return option;
+    if (SANDBOXED) return path.join(SANDBOX_DIR, 'helper-state.json');
+    return process.platform === 'win32'
+        ? path.join(process.env.PROGRAMDATA || 'C:\\ProgramData', 'ReDD Block', 'helper-state.json')
+        : '/var/lib/redd-block/helper-state.json';
+}
+
+function getHostsPath() {
+    const option = getOption('--hosts', 'REDD_BLOCK_HOSTS');
+    if (option) return option;
+    if (SANDBOXED) return path.join(SANDBOX_DIR, 'hosts');
+    return process.platform === 'win32'
+        ? 'C:\\Windows\\System32\\drivers\\etc\\hosts'
+        : '/etc/hosts';
+}
 
 // Configuration
-const SOCKET_PATH = process.platform === 'win32'
-    ? 62222  // Use TCP port on Windows to avoid Named Pipe permission issues between Admin/User
-    : '/tmp/redd-block-helper.sock';
+const SOCKET_PATH = getSocketPath();
+const DATA_PATH = getDataPath();
+const BLOCK_PAGE_SERVER_PORTS = getBlockPagePorts();
 
-const DATA_PATH = process.platform === 'win32'
-    ? path.join(process.env.PROGRAMDATA || 'C:\\ProgramData', 'ReDD Block', 'helper-state.json')
-    : '/var/lib/redd-block/helper-state.json';
+// Append-only record of what happened to blocks, one JSON object per line
+const JOURNAL_PATH = path.join(path.dirname(DATA_PATH), 'helper-journal.jsonl');
 
-const HOSTS_PATH = process.platform === 'win32'
-    ? 'C:\\Windows\\System32\\drivers\\etc\\hosts'
-    : '/etc/hosts';
+// Copies of the hosts file as it was before the helper changed it, newest last
+const HOSTS_BACKUP_DIR = path.join(path.dirname(DATA_PATH), 'hosts-backups');
+const MAX_HOSTS_BACKUPS = 5;
+
+// Shared secret clients authenticate with, written by the installer (root-only)
+const CLIENT_SECRET_PATH = path.join(path.dirname(DATA_PATH), 'client-secret');
+
+const HOSTS_PATH = getHostsPath();
 
 const BLOCK_MARKER_START = '# BEGIN REDD BLOCK';
 const BLOCK_MARKER_END = '# END REDD BLOCK';
 
+// How many tamper events are kept in the state file
+const MAX_TAMPER_EVENTS = 100;
+
+// How long an issued override challenge can be answered (after any delay has passed)
+const OVERRIDE_CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+// Attempts on a site this close together count once: browsers retry, prefetch and
+// ask for favicons, and one visit can reach the DNS proxy, the block page and the extension
+const ATTEMPT_INTERVAL_MS = 10 * 1000;
+
+// How far ahead recurring schedules are turned into scheduled blocks
+const SCHEDULE_LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+
+// How often blocked domains are re-resolved for the firewall rules, since
+// sites rotate their addresses
+const FIREWALL_REFRESH_MS = 5 * 60 * 1000;
+
+// After the block page fails to start (e.g. another server has port 80), wait this
+// long before trying again, doubling the wait after each failure up to the maximum
+const BLOCK_PAGE_RETRY_MS = 5000;
+const MAX_BLOCK_PAGE_RETRY_MS = 10 * 60 * 1000;
+
+const NFT_TABLE = 'redd_block';
+const IPTABLES_CHAIN = 'REDD_BLOCK';
+
 // State
-let currentBlock = null; // { domains: [], endTime: number, blocklistId: string }
+let blocks = {}; // blockId -> { domains: [], startTime: number, endTime: number, blocklistId: string, blocklistName?: string, mode: string, subdomains: boolean, blockPage: boolean, override: Object, scheduleId?: string, activatedAt?: number, attempts?: { [domain]: number } }
+let schedules = {}; // blocklistId -> { domains: [], rules: [], timeZone: string, blocklistName?: string, mode: string, subdomains: boolean, blockPage: boolean, override: Object }
+let skippedOccurrences = {}; // blockId -> endTime, for schedule occurrences cleared early
+let appliedBlockIds = []; // Running block IDs the hosts file was last written for
+let overrideChallenges = {}; // challengeId -> { blockId, text?, readyAt?, expiresAt }, kept in memory only
+const recentAttempts = new Map(); // `${blockId} ${domain}` -> time of the last attempt, kept in memory only
 let checkupInterval = null;
-let hostsBackup = null;
+let hostsSectionHash = null; // SHA-256 of the hosts section last written, null when there is none
+let tamperEvents = []; // { timestamp, target, message }, newest last
+let dnsProxy = null;
+let blockPageServer = null;
+let blockPageRetry = null; // { at, delay } while the block page can't start
+let resolverBackup = null; // System DNS settings to restore once the DNS proxy is no longer needed
+let browserPolicyBackup = null; // { firefox: string|null, firefoxWritten: boolean, chromium, firefoxMac } while browser policies are applied
+let firewallDomains = []; // Domains the firewall rules were last applied for
+let firewallResolvedAt = 0;
+let firewallGeneration = 0; // Bumped on every apply/clear so stale resolutions are dropped
+let linuxFirewallBackend; // 'nft', 'iptables' or null, detected on first use
+const subscribers = new Set(); // Sockets of clients that sent `subscribe`
+const clock = new TrustedClock(); // Block timing; ignores changes to the system clock while blocks run
 
 // Logging
 function log(message) {
@@ -51,6 +205,50 @@ function logError(message, error) {
     console.error(`[${timestamp}] ERROR: ${message}`, error);
 }
 
+// Events pushed to subscribed clients
+const EVENT_TYPES = ['block-started', 'block-extended', 'block-expired', 'block-cleared', 'block-attempted', 'tamper-detected'];
+
+function emitEvent(type, details = {}) {
+    if (subscribers.size === 0) return;
+
+    const message = JSON.stringify({ event: type, ...details, timestamp: clock.now() }) + '\n';
+    subscribers.forEach(socket => {
+        if (!socket.destroyed && !socket.writableEnded) {
+            socket.write(message);
+        }
+    });
+}
+
+function describeBlockEvent(blockId, block) {
+    return {
+        blockId,
+        blocklistId: block.blocklistId,
+        startTime: block.startTime,
+        endTime: block.endTime
+    };
+}
+
+// Remember and announce a change someone made to the rules behind our back
+function recordTamper(target, message) {
+    const event = { timestamp: clock.now(), target, message };
+    log(`Tamper detected (${target}): ${message}`);
+
+    tamperEvents = tamperEvents.concat(event).slice(-MAX_TAMPER_EVENTS);
+    saveState();
+    emitEvent('tamper-detected', { target, message });
+    appendJournal('tamper-repaired', { target, message });
+}
+
+// Keep the client's connection open and send it every event from now on
+function subscribe(socket) {
+    if (!subscribers.has(socket)) {
+        subscribers.add(socket);
+        socket.on('close', () => subscribers.delete(socket));
+        log(`Client subscribed to events (${subscribers.size} subscribed)`);
+    }
+    return { success: true, events: EVENT_TYPES };
+}
+
 // State persistence
 function ensureDataDir() {
     const dir = path.dirname(DATA_PATH);
@@ -59,30 +257,132 @@ function ensureDataDir() {
     }
 }
 
+// Returns the journal details of saved blocks that ended while the helper was stopped
 function loadState() {
+    const expired = [];
     try {
         ensureDataDir();
         if (fs.existsSync(DATA_PATH)) {
             const data = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
-            if (data.currentBlock && data.currentBlock.endTime > Date.now()) {
-                currentBlock = data.currentBlock;
-                log(`Restored active block: ${currentBlock.domains.length} domains until ${new Date(currentBlock.endTime).toISOString()}`);
+            const saved = data.blocks || {};
+
+            // Migrate state written by helpers that only tracked a single block
+            if (data.currentBlock) {
+                saved[data.currentBlock.blocklistId || 'legacy'] = data.currentBlock;
+            }
+
+            // Before anything is compared with the time, so a clock change while
+            // the helper was stopped doesn't drop blocks
+            if (clock.restore(data.clock)) {
+                log('Restored clock from before the restart');
+            }
+
+            const now = clock.now();
+            for (const [blockId, block] of Object.entries(saved)) {
+                if (block.endTime > now) {
+                    blocks[blockId] = block;
+                    log(`Restored block ${blockId}: ${block.domains.length} domains until ${new Date(block.endTime).toISOString()}`);
+                } else {
+                    expired.push({ ...describeJournalBlock(blockId, block), attempts: block.attempts || {} });
+                    log(`Block ${blockId} ended while the helper was stopped`);
+                }
+            }
+
+            schedules = data.schedules || {};
+            skippedOccurrences = data.skippedOccurrences || {};
+            resolverBackup = data.resolverBackup || null;
+            browserPolicyBackup = data.browserPolicyBackup || null;
+            hostsSectionHash = data.hostsSectionHash || null;
+            tamperEvents = data.tamperEvents || [];
+
+            // Helpers from before integrity checks didn't store the hash; take the section
+            // they wrote as it is rather than reporting it as tampered with
+            if (!('hostsSectionHash' in data) && getRunningBlockIds().length > 0) {
+                hostsSectionHash = hashBlockSection(readHostsFile());
+                log('Recorded the hosts section written by the previous helper');
             }
         }
     } catch (err) {
         logError('Failed to load state', err);
     }
+    return expired;
 }
 
 function saveState() {
     try {
         ensureDataDir();
-        fs.writeFileSync(DATA_PATH, JSON.stringify({ currentBlock }, null, 2));
+        fs.writeFileSync(DATA_PATH, JSON.stringify({
+            blocks,
+            schedules,
+            skippedOccurrences,
+            resolverBackup,
+            browserPolicyBackup,
+            hostsSectionHash,
+            tamperEvents,
+            clock
+        }, null, 2));
     } catch (err) {
         logError('Failed to save state', err);
     }
 }
 
+// Event journal
+function appendJournal(type, details = {}) {
+    try {
+        ensureDataDir();
+        fs.appendFileSync(JOURNAL_PATH, JSON.stringify({ timestamp: clock.now(), type, ...details }) + '\n');
+    } catch (err) {
+        logError('Failed to write to journal', err);
+    }
+}
+
+function describeJournalBlock(blockId, block) {
+    return {
+        ...describeBlockEvent(blockId, block),
+        blocklistName: block.blocklistName,
+        domains: block.domains,
+        mode: block.mode || 'blocklist',
+        scheduleId: block.scheduleId
+    };
+}
+
+function readJournal() {
+    let content;
+    try {
+        content = fs.readFileSync(JOURNAL_PATH, 'utf8');
+    } catch (err) {
+        return [];
+    }
+
+    // A line cut short by a crash is skipped rather than failing the whole read
+    return content.split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (err) {
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+/**
+ * Journal entries in a time range, oldest first
+ * @param {number} [from] - Unix timestamp, inclusive (defaults to the beginning)
+ * @param {number} [to] - Unix timestamp, exclusive (defaults to now and later)
+ */
+function getHistory(from, to) {
+    const start = from === undefined || from === null ? -Infinity : Number(from);
+    const end = to === undefined || to === null ? Infinity : Number(to);
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+        return { success: false, error: 'Invalid date range' };
+    }
+
+    return {
+        success: true,
+        events: readJournal().filter(entry => entry.timestamp >= start && entry.timestamp < end)
+    };
+}
+
 // Hosts file management
 function readHostsFile() {
     try {
@@ -93,9 +393,70 @@ function readHostsFile() {
     }
 }
 
+// Write to a temp file next to the target and rename it into place, so a
+// crash leaves either the old or the new file, never a truncated one
+function writeFileAtomic(filePath, content) {
+    const target = fs.realpathSync(filePath);
+    const stat = fs.statSync(target);
+    const tempPath = path.join(path.dirname(target), `.${path.basename(target)}.redd-block-${process.pid}.tmp`);
+
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeFileSync(fd, content);
+        if (process.platform !== 'win32') {
+            fs.fchmodSync(fd, stat.mode & 0o7777);
+            fs.fchownSync(fd, stat.uid, stat.gid);
+        }
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tempPath, target);
+    } catch (err) {
+        try {
+            fs.unlinkSync(tempPath);
+        } catch (e) {
+            // Ignore cleanup errors
+        }
+        throw err;
+    }
+
+    // Make the rename itself survive a power loss
+    if (process.platform !== 'win32') {
+        const dirFd = fs.openSync(path.dirname(target), 'r');
+        try {
+            fs.fsyncSync(dirFd);
+        } finally {
+            fs.closeSync(dirFd);
+        }
+    }
+}
+
 function writeHostsFile(content) {
+    backupHostsFile();
+
+    try {
+        writeFileAtomic(HOSTS_PATH, content);
+        return true;
+    } catch (err) {
+        // Bind-mounted hosts files (containers) and files held open on Windows can't be
+        // replaced, and a missing one is simply created
+        if (!['EBUSY', 'EXDEV', 'EPERM', 'EACCES', 'ENOENT'].includes(err.code)) {
+            logError('Failed to write hosts file', err);
+            return false;
+        }
+    }
+
     try {
-        fs.writeFileSync(HOSTS_PATH, content);
+        const fd = fs.openSync(HOSTS_PATH, 'w');
+        try {
+            fs.writeFileSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
         return true;
     } catch (err) {
         logError('Failed to write hosts file', err);
@@ -103,14 +464,94 @@ function writeHostsFile(content) {
     }
 }
 
+function listHostsBackups() {
+    try {
+        return fs.readdirSync(HOSTS_BACKUP_DIR)
+            .filter(name => /^hosts-[\dTZ-]+$/.test(name))
+            .sort();
+    } catch (err) {
+        return [];
+    }
+}
+
+// Keep the user's own hosts entries (without our section) whenever they change
 function backupHostsFile() {
-    hostsBackup = readHostsFile();
+    const content = removeBlockFromHosts(readHostsFile());
+    if (!content.trim()) return;
+
+    const backups = listHostsBackups();
+    const newest = backups[backups.length - 1];
+
+    try {
+        if (newest && fs.readFileSync(path.join(HOSTS_BACKUP_DIR, newest), 'utf8') === content) {
+            return;
+        }
+
+        fs.mkdirSync(HOSTS_BACKUP_DIR, { recursive: true });
+        const name = `hosts-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        fs.writeFileSync(path.join(HOSTS_BACKUP_DIR, name), content);
+        backups.push(name);
+
+        backups.slice(0, -MAX_HOSTS_BACKUPS).forEach(old => fs.unlinkSync(path.join(HOSTS_BACKUP_DIR, old)));
+    } catch (err) {
+        logError('Failed to back up hosts file', err);
+    }
+}
+
+// Put back the user's entries from a backup, keeping the section for running blocks
+function restoreHosts(backupName) {
+    const backups = listHostsBackups();
+    const name = backupName || backups[backups.length - 1];
+
+    if (!name) {
+        return { success: false, error: 'No hosts file backups available', backups };
+    }
+    if (!backups.includes(name)) {
+        return { success: false, error: `Unknown hosts file backup: ${name}`, backups };
+    }
+
+    let content;
+    try {
+        content = fs.readFileSync(path.join(HOSTS_BACKUP_DIR, name), 'utf8');
+    } catch (err) {
+        logError('Failed to read hosts file backup', err);
+        return { success: false, error: 'Failed to read hosts file backup', backups };
+    }
+
+    const newContent = withBlockSection(content);
+
+    if (!writeHostsFile(newContent)) {
+        return { success: false, error: 'Failed to write hosts file', backups };
+    }
+    hostsSectionHash = hashBlockSection(newContent);
+    saveState();
+    flushDNSCache();
+
+    log(`Restored hosts file from ${name}`);
+    appendJournal('hosts-restored', { backup: name });
+    return { success: true, restored: name, backups: listHostsBackups() };
 }
 
 function containsBlock(content) {
     return content.includes(BLOCK_MARKER_START);
 }
 
+// The ReDD Block section exactly as it appears in the hosts file, markers included
+function getBlockSection(content) {
+    const startIndex = content.indexOf(BLOCK_MARKER_START);
+    if (startIndex === -1) return null;
+
+    const endIndex = content.indexOf(BLOCK_MARKER_END, startIndex);
+    return endIndex !== -1
+        ? content.substring(startIndex, endIndex + BLOCK_MARKER_END.length)
+        : content.substring(startIndex);
+}
+
+function hashBlockSection(content) {
+    const section = getBlockSection(content);
+    return section === null ? null : crypto.createHash('sha256').update(section).digest('hex');
+}
+
 function removeBlockFromHosts(content) {
     const startIndex = content.indexOf(BLOCK_MARKER_START);
     const endIndex = content.indexOf(BLOCK_MARKER_END);
@@ -125,7 +566,15 @@ function removeBlockFromHosts(content) {
     return before + (after ? '\n' + after : '');
 }
 
-function addBlockToHosts(content, domains) {
+// Hosts file content with the section for the running blocks, or without one if none are running
+function withBlockSection(content) {
+    return getRunningBlockIds().length > 0
+        ? addBlockToHosts(content, getBlockedDomains(), getBlockPageDomains())
+        : removeBlockFromHosts(content);
+}
+
+// `blockPageDomains` point at the block page instead of nowhere
+function addBlockToHosts(content, domains, blockPageDomains = []) {
     // First remove any existing block
     content = removeBlockFromHosts(content);
 
@@ -144,10 +593,20 @@ function addBlockToHosts(content, domains) {
             .toLowerCase();
 
         // Add IPv4 and IPv6 entries
-        blockLines.push(`0.0.0.0 ${cleanDomain}`);
-        blockLines.push(`0.0.0.0 www.${cleanDomain}`);
-        blockLines.push(`:: ${cleanDomain}`);
-        blockLines.push(`:: www.${cleanDomain}`);
+        const { ipv4, ipv6 } = blockPageDomains.includes(domain)
+            ? getBlockPageAddresses()
+            : { ipv4: '0.0.0.0', ipv6: '::' };
+        blockLines.push(`${ipv4} ${cleanDomain}`);
+        blockLines.push(`${ipv4} www.${cleanDomain}`);
+        blockLines.push(`${ipv6} ${cleanDomain}`);
+        blockLines.push(`${ipv6} www.${cleanDomain}`);
+    });
+
+    // Keep browsers from resolving around the hosts file over DNS-over-HTTPS
+    blockLines.push('# DNS-over-HTTPS');
+    [DOH_CANARY_DOMAIN, ...DOH_ENDPOINTS].forEach(name => {
+        blockLines.push(`0.0.0.0 ${name}`);
+        blockLines.push(`:: ${name}`);
     });
 
     blockLines.push(BLOCK_MARKER_END);
@@ -158,75 +617,222 @@ function addBlockToHosts(content, domains) {
 
 // Firewall management
 function applyFirewallRules(domains) {
+    firewallDomains = domains;
+    firewallResolvedAt = clock.now();
+    firewallGeneration++;
+
+    if (SANDBOXED) return true;
+
     if (process.platform === 'darwin') {
         return applyFirewallRulesMacOS(domains);
     } else if (process.platform === 'win32') {
         return applyFirewallRulesWindows(domains);
     }
-    return true; // Linux uses hosts file only for now
+    return applyFirewallRulesLinux(domains);
 }
 
-function applyFirewallRulesMacOS(domains) {
+// Re-resolve the blocked domains once the last resolution is old enough
+function refreshFirewallRules() {
+    if (firewallDomains.length > 0 && clock.now() - firewallResolvedAt >= FIREWALL_REFRESH_MS) {
+        applyFirewallRules(firewallDomains);
+    }
+}
+
+// Resolve domains without going through our own hosts file or DNS proxy
+function resolveBlockedAddresses(domains) {
+    return resolveDomains(domains, resolverBackup ? resolverBackup.upstreams : []);
+}
+
+function commandExists(command) {
     try {
-        // Create pf anchor file
-        const anchorPath = '/etc/pf.anchors/com.redd.block';
-        const rules = [];
+        execSync(`command -v ${command}`, { stdio: 'ignore' });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
 
-        // Resolve domains to IPs and add block rules
-        // For simplicity, we'll rely primarily on hosts file blocking
-        // and use pf as a backup for apps that bypass hosts
+function getLinuxFirewallBackend() {
+    if (linuxFirewallBackend === undefined) {
+        linuxFirewallBackend = commandExists('nft') ? 'nft'
+            : commandExists('iptables') ? 'iptables'
+                : null;
+        log(`Linux firewall backend: ${linuxFirewallBackend || 'none (hosts file only)'}`);
+    }
+    return linuxFirewallBackend;
+}
 
-        fs.writeFileSync(anchorPath, rules.join('\n'));
+/**
+ * Build an nftables script that replaces the ReDD Block table in one transaction
+ * @param {{ ipv4: string[], ipv6: string[] }} addresses
+ */
+function buildNftablesRuleset(addresses) {
+    const lines = [
+        // Declaring the table first makes the delete succeed when it doesn't exist yet
+        `table inet ${NFT_TABLE}`,
+        `delete table inet ${NFT_TABLE}`,
+        `table inet ${NFT_TABLE} {`,
+        '    set blocked_v4 {',
+        '        type ipv4_addr',
+        ...(addresses.ipv4.length > 0 ? [`        elements = { ${addresses.ipv4.join(', ')} }`] : []),
+        '    }',
+        '    set blocked_v6 {',
+        '        type ipv6_addr',
+        ...(addresses.ipv6.length > 0 ? [`        elements = { ${addresses.ipv6.join(', ')} }`] : []),
+        '    }',
+        '    chain output {',
+        '        type filter hook output priority 0; policy accept;',
+        // Reject rather than drop so connections fail immediately instead of hanging
+        '        ip daddr @blocked_v4 reject',
+        '        ip6 daddr @blocked_v6 reject',
+        '    }',
+        '}'
+    ];
+    return lines.join('\n') + '\n';
+}
 
-        // Load the anchor
-        execSync('pfctl -a com.redd.block -f /etc/pf.anchors/com.redd.block 2>/dev/null || true');
+/**
+ * Build the iptables/ip6tables commands that fill a dedicated ReDD Block chain
+ * @param {{ ipv4: string[], ipv6: string[] }} addresses
+ */
+function buildIptablesCommands(addresses) {
+    const commands = [];
+    [['iptables', addresses.ipv4], ['ip6tables', addresses.ipv6]].forEach(([tool, list]) => {
+        commands.push(`${tool} -N ${IPTABLES_CHAIN} 2>/dev/null || true`);
+        commands.push(`${tool} -F ${IPTABLES_CHAIN}`);
+        list.forEach(address => {
+            commands.push(`${tool} -A ${IPTABLES_CHAIN} -d ${address} -j REJECT`);
+        });
+        commands.push(`${tool} -C OUTPUT -j ${IPTABLES_CHAIN} 2>/dev/null || ${tool} -I OUTPUT -j ${IPTABLES_CHAIN}`);
+    });
+    return commands;
+}
 
+function applyFirewallRulesLinux(domains) {
+    const backend = getLinuxFirewallBackend();
+    if (!backend) {
         return true;
-    } catch (err) {
-        logError('Failed to apply macOS firewall rules', err);
-        return false;
     }
+
+    const generation = firewallGeneration;
+
+    resolveBlockedAddresses(domains)
+        .then((addresses) => {
+            // The rules were cleared or re-applied while resolving
+            if (generation !== firewallGeneration) return;
+
+            if (backend === 'nft') {
+                execSync('nft -f -', { input: buildNftablesRuleset(addresses) });
+            } else {
+                buildIptablesCommands(addresses).forEach(command => {
+                    // ip6tables may be missing on IPv4-only systems
+                    try {
+                        execSync(command, { stdio: 'ignore' });
+                    } catch (e) {
+                        logError(`Firewall command failed: ${command}`, e.message);
+                    }
+                });
+            }
+
+            log(`Firewall rules applied (${backend}): ${addresses.ipv4.length + addresses.ipv6.length} addresses`);
+        })
+        .catch((err) => {
+            logError('Failed to apply Linux firewall rules', err);
+        });
+
+    return true;
+}
+
+function applyFirewallRulesMacOS(domains) {
+    const generation = firewallGeneration;
+
+    resolveBlockedAddresses(domains)
+        .then((addresses) => {
+            // The rules were cleared or re-applied while resolving
+            if (generation !== firewallGeneration) return;
+
+            fs.mkdirSync(path.dirname(PF_ANCHOR_PATH), { recursive: true });
+            fs.writeFileSync(PF_ANCHOR_PATH, buildPfAnchorRules(addresses));
+
+            // Register the anchor so pf loads it at boot as well
+            const pfConf = fs.readFileSync(PF_CONF_PATH, 'utf8');
+            const registered = addAnchorToPfConf(pfConf);
+            if (registered !== pfConf) {
+                fs.writeFileSync(PF_CONF_PATH, registered);
+                execSync(`pfctl -f ${PF_CONF_PATH} 2>/dev/null || true`);
+            }
+
+            execSync('pfctl -e 2>/dev/null || true');
+            execSync(`pfctl -a ${PF_ANCHOR_NAME} -f ${PF_ANCHOR_PATH}`);
+
+            log(`Firewall rules applied (pf): ${addresses.ipv4.length + addresses.ipv6.length} addresses`);
+        })
+        .catch((err) => {
+            logError('Failed to apply macOS firewall rules', err);
+        });
+
+    return true;
 }
 
 function applyFirewallRulesWindows(domains) {
-    try {
-        // Remove any existing ReDD Block firewall rules first
-        try {
-            execSync('netsh advfirewall firewall delete rule name="ReDD Block"', { stdio: 'ignore' });
-        } catch (e) {
-            // Rule might not exist, that's fine
-        }
+    // Windows Firewall doesn't block by domain name, so we resolve to IPs
+    const generation = firewallGeneration;
+
+    resolveBlockedAddresses(domains)
+        .then((addresses) => {
+            // The rules were cleared or re-applied while resolving
+            if (generation !== firewallGeneration) return;
+
+            // Remove any existing ReDD Block firewall rules first
+            try {
+                execSync(windowsFirewall.buildClearCommand(), { stdio: 'ignore' });
+            } catch (e) {
+                // Rule might not exist, that's fine
+            }
 
-        // Add outbound block rules for each domain
-        // Windows Firewall doesn't block by domain name, so we resolve to IPs
-        // For now, we'll rely primarily on hosts file and add this as a placeholder
-        // for future IP-based blocking
+            windowsFirewall.buildBlockCommands(addresses).forEach(command => {
+                execSync(command, { stdio: 'ignore' });
+            });
 
-        log('Windows firewall rules: relying on hosts file blocking');
-        return true;
-    } catch (err) {
-        logError('Failed to apply Windows firewall rules', err);
-        return false;
-    }
+            log(`Firewall rules applied (Windows Firewall): ${addresses.ipv4.length + addresses.ipv6.length} addresses`);
+        })
+        .catch((err) => {
+            logError('Failed to apply Windows firewall rules', err);
+        });
+
+    return true;
 }
 
 function clearFirewallRules() {
+    firewallDomains = [];
+    firewallGeneration++;
+
+    if (SANDBOXED) return true;
+
     if (process.platform === 'darwin') {
         return clearFirewallRulesMacOS();
     } else if (process.platform === 'win32') {
         return clearFirewallRulesWindows();
     }
-    return true;
+    return clearFirewallRulesLinux();
 }
 
 function clearFirewallRulesMacOS() {
     try {
-        execSync('pfctl -a com.redd.block -F all 2>/dev/null || true');
+        execSync(`pfctl -a ${PF_ANCHOR_NAME} -F all 2>/dev/null || true`);
+
+        // Unregister the anchor first, pf.conf must not reference a missing file
+        if (fs.existsSync(PF_CONF_PATH)) {
+            const pfConf = fs.readFileSync(PF_CONF_PATH, 'utf8');
+            const unregistered = removeAnchorFromPfConf(pfConf);
+            if (unregistered !== pfConf) {
+                fs.writeFileSync(PF_CONF_PATH, unregistered);
+            }
+        }
 
         // Remove anchor file
-        const anchorPath = '/etc/pf.anchors/com.redd.block';
-        if (fs.existsSync(anchorPath)) {
-            fs.unlinkSync(anchorPath);
+        if (fs.existsSync(PF_ANCHOR_PATH)) {
+            fs.unlinkSync(PF_ANCHOR_PATH);
         }
 
         return true;
@@ -238,7 +844,7 @@ function clearFirewallRulesMacOS() {
 
 function clearFirewallRulesWindows() {
     try {
-        execSync('netsh advfirewall firewall delete rule name="ReDD Block"', { stdio: 'ignore' });
+        execSync(windowsFirewall.buildClearCommand(), { stdio: 'ignore' });
         return true;
     } catch (err) {
         // Rule might not exist, which is fine
@@ -246,7 +852,29 @@ function clearFirewallRulesWindows() {
     }
 }
 
+function clearFirewallRulesLinux() {
+    const backend = getLinuxFirewallBackend();
+
+    try {
+        if (backend === 'nft') {
+            execSync(`nft delete table inet ${NFT_TABLE} 2>/dev/null || true`);
+        } else if (backend === 'iptables') {
+            ['iptables', 'ip6tables'].forEach(tool => {
+                execSync(`${tool} -D OUTPUT -j ${IPTABLES_CHAIN} 2>/dev/null || true`);
+                execSync(`${tool} -F ${IPTABLES_CHAIN} 2>/dev/null || true`);
+                execSync(`${tool} -X ${IPTABLES_CHAIN} 2>/dev/null || true`);
+            });
+        }
+        return true;
+    } catch (err) {
+        logError('Failed to clear Linux firewall rules', err);
+        return false;
+    }
+}
+
 function flushDNSCache() {
+    if (SANDBOXED) return;
+
     try {
         if (process.platform === 'darwin') {
             execSync('dscacheutil -flushcache 2>/dev/null || true');
@@ -264,102 +892,876 @@ function flushDNSCache() {
 }
 
 // Block management
-function startBlock(domains, endTime, blocklistId) {
-    log(`Starting block: ${domains.length} domains until ${new Date(endTime).toISOString()}`);
-
-    // Backup current hosts file
-    backupHostsFile();
+function isBlockRunning(block, now = clock.now()) {
+    // Blocks saved before scheduling was supported have no startTime
+    return (block.startTime || 0) <= now && block.endTime > now;
+}
 
-    // Apply hosts file blocking
-    const hostsContent = readHostsFile();
-    const newContent = addBlockToHosts(hostsContent, domains);
+function getRunningBlockIds() {
+    const now = clock.now();
+    return Object.keys(blocks).filter(blockId => isBlockRunning(blocks[blockId], now));
+}
 
-    if (!writeHostsFile(newContent)) {
-        return { success: false, error: 'Failed to write hosts file' };
-    }
+function getRunningBlocks() {
+    return getRunningBlockIds().map(blockId => blocks[blockId]);
+}
 
-    // Apply firewall rules
-    applyFirewallRules(domains);
+// Domains for the hosts file and firewall; allowlist blocks are enforced by the DNS proxy
+// instead, and entries with a path (youtube.com/shorts) by browser policies
+function getBlockedDomains() {
+    const domains = new Set();
+    getRunningBlocks()
+        .filter(block => block.mode !== 'allowlist')
+        .forEach(block => {
+            block.domains
+                .filter(domain => !hasUrlPath(domain))
+                .forEach(domain => domains.add(domain));
+        });
+    return Array.from(domains);
+}
 
-    // Flush DNS cache
-    flushDNSCache();
+// Of those, the ones whose block shows the block page, once it is being served
+function getBlockPageDomains() {
+    if (!blockPageServer || !blockPageServer.listening) return [];
+
+    const domains = new Set();
+    getRunningBlocks()
+        .filter(block => block.mode !== 'allowlist' && block.blockPage)
+        .forEach(block => {
+            block.domains
+                .filter(domain => !hasUrlPath(domain))
+                .forEach(domain => domains.add(domain));
+        });
+    return Array.from(domains);
+}
 
-    // Update state
-    currentBlock = { domains, endTime, blocklistId };
-    saveState();
+// DNS proxy for allowlists and subdomain blocking
+// Sandboxed helpers never touch the system resolver, so they don't run the proxy either
+function needsDnsProxy() {
+    return !SANDBOXED && getRunningBlocks().some(needsDnsPolicy);
+}
 
-    // Start the checkup timer if not already running
-    if (!checkupInterval) {
-        startCheckupTimer();
+function startDnsProxy() {
+    try {
+        // Keep the original settings from before the proxy was first needed,
+        // so a restart while the proxy is active doesn't back up the proxy itself
+        if (!resolverBackup) {
+            resolverBackup = captureResolverConfig();
+            saveState();
+        }
+    } catch (err) {
+        logError('Failed to read DNS settings', err);
+        return;
     }
 
-    log('Block started successfully');
-    return { success: true };
+    const proxy = new DnsProxy({
+        upstreams: resolverBackup.upstreams,
+        isBlocked: (name) => isNameBlocked(name, getRunningBlocks()),
+        redirect: (name) => findBlockPageBlockId(name) ? getBlockPageAddresses() : null,
+        onRefused: reportRefusedName
+    });
+    dnsProxy = proxy;
+
+    proxy.start()
+        .then(() => {
+            // Stopped again before it finished starting
+            if (dnsProxy !== proxy) return;
+
+            useLocalResolver(resolverBackup);
+            flushDNSCache();
+            log('DNS proxy started');
+        })
+        .catch((err) => {
+            logError('Failed to start DNS proxy', err);
+            proxy.stop();
+            if (dnsProxy === proxy) {
+                dnsProxy = null;
+            }
+        });
 }
 
-function clearBlock() {
-    if (!currentBlock) {
-        return { success: true, message: 'No active block' };
+function stopDnsProxy() {
+    // Point the system back at its own servers before the proxy goes away
+    if (resolverBackup) {
+        try {
+            restoreResolverConfig(resolverBackup);
+            resolverBackup = null;
+            saveState();
+        } catch (err) {
+            logError('Failed to restore DNS settings', err);
+        }
     }
 
-    log('Clearing block...');
+    if (dnsProxy) {
+        dnsProxy.stop();
+        dnsProxy = null;
+        log('DNS proxy stopped');
+    }
+}
 
-    // Remove hosts file blocking
-    const hostsContent = readHostsFile();
-    const cleanContent = removeBlockFromHosts(hostsContent);
+// Run the DNS proxy only while a block that needs it is running
+function updateDnsProxy() {
+    if (SANDBOXED) return;
 
-    if (!writeHostsFile(cleanContent)) {
-        return { success: false, error: 'Failed to clear hosts file' };
+    if (needsDnsProxy()) {
+        if (!dnsProxy) {
+            startDnsProxy();
+        }
+    } else if (dnsProxy || resolverBackup) {
+        stopDnsProxy();
     }
+}
 
-    // Clear firewall rules
-    clearFirewallRules();
-
-    // Flush DNS cache
-    flushDNSCache();
+// Block page, served on loopback while a block that shows it is running
+function needsBlockPage() {
+    return BLOCK_PAGE_SERVER_PORTS.length > 0 && getRunningBlocks().some(block => block.blockPage);
+}
 
-    // Update state
-    currentBlock = null;
-    saveState();
+// Where blocked names point while the block page is served; without IPv6 loopback they go nowhere
+function getBlockPageAddresses() {
+    return {
+        ipv4: BLOCK_PAGE_IPV4,
+        ipv6: blockPageServer && blockPageServer.ipv6 ? BLOCK_PAGE_IPV6 : '::'
+    };
+}
 
-    log('Block cleared successfully');
-    return { success: true };
+// The running block that shows the block page for a name, if any
+function findBlockPageBlockId(name) {
+    return getRunningBlockIds().find(blockId => blocks[blockId].blockPage && blockCoversName(name, blocks[blockId])) || null;
 }
 
-function getStatus() {
-    if (!currentBlock) {
-        return { active: false };
-    }
+function describeBlockPageBlock(name) {
+    const blockId = findBlockPageBlockId(name);
+    if (!blockId) return null;
 
-    const remaining = Math.max(0, currentBlock.endTime - Date.now());
+    const block = blocks[blockId];
     return {
-        active: true,
-        domains: currentBlock.domains,
-        endTime: currentBlock.endTime,
-        blocklistId: currentBlock.blocklistId,
-        remainingMs: remaining
+        blockId,
+        blocklistName: block.blocklistName,
+        endTime: block.endTime,
+        remainingMs: block.endTime - clock.now()
     };
 }
 
-// Checkup timer - runs every second
-function startCheckupTimer() {
-    if (checkupInterval) return;
+function startBlockPage() {
+    const server = new BlockPageServer({
+        ports: BLOCK_PAGE_SERVER_PORTS,
+        lookup: describeBlockPageBlock,
+        onAttempt: reportAttempt
+    });
+    blockPageServer = server;
+
+    server.start()
+        .then(() => {
+            // Stopped again before it finished starting
+            if (blockPageServer !== server) return;
+
+            log(`Block page listening on ports ${BLOCK_PAGE_SERVER_PORTS.join(', ')}`);
+            blockPageRetry = null;
+            // Point the blocked names at it
+            rewriteBlockSection();
+        })
+        .catch((err) => {
+            server.stop();
+            if (blockPageServer !== server) return;
+            blockPageServer = null;
+
+            // Only the first failure is logged, not every retry
+            if (!blockPageRetry) {
+                logError('Failed to start block page, retrying with backoff', err);
+            }
+            const delay = blockPageRetry ? Math.min(blockPageRetry.delay * 2, MAX_BLOCK_PAGE_RETRY_MS) : BLOCK_PAGE_RETRY_MS;
+            blockPageRetry = { at: clock.now() + delay, delay };
+        });
+}
+
+// Whether to try starting the block page now, after any earlier failure's wait is over
+function shouldStartBlockPage() {
+    return !blockPageServer && (!blockPageRetry || clock.now() >= blockPageRetry.at);
+}
+
+function stopBlockPage() {
+    if (blockPageServer) {
+        blockPageServer.stop();
+        blockPageServer = null;
+        log('Block page stopped');
+    }
+}
+
+// Serve the block page only while a block that shows it is running
+function updateBlockPage() {
+    if (needsBlockPage()) {
+        if (shouldStartBlockPage()) {
+            startBlockPage();
+        }
+    } else {
+        stopBlockPage();
+        blockPageRetry = null;
+    }
+}
+
+// Browser policies that turn DNS-over-HTTPS off and block entries with a path while blocks run
+// Sandboxed helpers write the policy files below the sandbox and skip the system-wide commands
+function getPolicyFilePath(filePath) {
+    return SANDBOXED
+        ? path.join(SANDBOX_DIR, 'browser-policies', filePath.replace(/^[A-Za-z]:/, ''))
+        : filePath;
+}
+
+function readFileIfExists(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+        return null;
+    }
+}
+
+function runPolicyCommands(commands) {
+    if (SANDBOXED) return;
+
+    commands.forEach(command => {
+        try {
+            execSync(command, { stdio: 'ignore' });
+        } catch (err) {
+            // Removing a policy that isn't set fails, which is fine
+        }
+    });
+}
+
+// Output of a command that prints policies, or null if it failed (e.g. none are set)
+function readPolicyCommand(command) {
+    try {
+        return execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch (err) {
+        return null;
+    }
+}
+
+// Policies the user or their organisation already set in managed preferences or the
+// registry, which ours are merged into and which are put back afterwards
+function readSystemPolicies() {
+    const backup = { chromium: {}, firefoxMac: {} };
+    if (SANDBOXED) return backup;
+
+    if (process.platform === 'darwin') {
+        Object.entries(browserPolicies.buildMacReadCommands()).forEach(([domain, command]) => {
+            backup.chromium[domain] = browserPolicies.parseMacPolicies(readPolicyCommand(command));
+        });
+        backup.firefoxMac = browserPolicies.parseMacPolicies(
+            readPolicyCommand(browserPolicies.buildFirefoxMacReadCommand()),
+            browserPolicies.FIREFOX_POLICY_NAMES
+        );
+    } else if (process.platform === 'win32') {
+        Object.entries(browserPolicies.buildRegistryReadCommands()).forEach(([key, command]) => {
+            backup.chromium[key] = browserPolicies.parseRegistryPolicies(readPolicyCommand(command), key);
+        });
+    }
+    return backup;
+}
+
+// Firefox only reads policies.json from its installation directory on Windows
+function isFirefoxPolicyDirAvailable(firefoxPath) {
+    return process.platform === 'linux' || SANDBOXED || fs.existsSync(path.dirname(path.dirname(firefoxPath)));
+}
+
+function applyBrowserPolicies() {
+    const options = { disableDoh: true, ...browserPolicies.buildUrlFilters(getRunningBlocks()) };
+    const firefoxPath = browserPolicies.getFirefoxPolicyPath();
+
+    // Keep the browsers' own policies from before the first block, to put back afterwards
+    if (!browserPolicyBackup) {
+        browserPolicyBackup = {
+            firefox: firefoxPath ? readFileIfExists(getPolicyFilePath(firefoxPath)) : null,
+            firefoxWritten: false,
+            ...readSystemPolicies()
+        };
+        saveState();
+    }
+
+    const chromiumPolicies = browserPolicies.buildChromiumPolicies(options);
+    const { chromium = {}, firefoxMac = {} } = browserPolicyBackup;
+    try {
+        if (process.platform === 'darwin') {
+            runPolicyCommands(browserPolicies.buildMacPolicyCommands(chromiumPolicies, chromium));
+            runPolicyCommands(browserPolicies.buildFirefoxMacPolicyCommands(options, firefoxMac));
+        } else if (process.platform === 'win32') {
+            runPolicyCommands(browserPolicies.buildRegistryPolicyCommands(chromiumPolicies, chromium));
+        } else {
+            browserPolicies.getChromiumPolicyPaths().forEach(policyPath => {
+                const filePath = getPolicyFilePath(policyPath);
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(filePath, JSON.stringify(chromiumPolicies, null, 2) + '\n');
+            });
+        }
+
+        if (firefoxPath && isFirefoxPolicyDirAvailable(firefoxPath)) {
+            const filePath = getPolicyFilePath(firefoxPath);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, browserPolicies.buildFirefoxPolicies(browserPolicyBackup.firefox, options));
+            if (!browserPolicyBackup.firefoxWritten) {
+                browserPolicyBackup.firefoxWritten = true;
+                saveState();
+            }
+        }
+    } catch (err) {
+        logError('Failed to write browser policies', err);
+    }
+}
+
+function clearBrowserPolicies() {
+    const { chromium = {}, firefoxMac = {} } = browserPolicyBackup;
+    try {
+        if (process.platform === 'darwin') {
+            runPolicyCommands(browserPolicies.buildMacClearCommands(chromium));
+            runPolicyCommands(browserPolicies.buildFirefoxMacClearCommands(firefoxMac));
+        } else if (process.platform === 'win32') {
+            runPolicyCommands(browserPolicies.buildRegistryClearCommands(chromium));
+        } else {
+            browserPolicies.getChromiumPolicyPaths().forEach(policyPath => {
+                fs.rmSync(getPolicyFilePath(policyPath), { force: true });
+            });
+        }
+
+        // Put back Firefox's policies.json as it was, or remove ours if there was none
+        const firefoxPath = browserPolicies.getFirefoxPolicyPath();
+        if (firefoxPath && browserPolicyBackup.firefoxWritten) {
+            const filePath = getPolicyFilePath(firefoxPath);
+            if (browserPolicyBackup.firefox === null) {
+                fs.rmSync(filePath, { force: true });
+            } else {
+                fs.writeFileSync(filePath, browserPolicyBackup.firefox);
+            }
+        }
+    } catch (err) {
+        logError('Failed to remove browser policies', err);
+        return;
+    }
+
+    browserPolicyBackup = null;
+    saveState();
+    log('Browser policies removed');
+}
+
+// Set the browser policies while any block is running and remove them afterwards
+function updateBrowserPolicies() {
+    if (getRunningBlockIds().length > 0) {
+        applyBrowserPolicies();
+    } else if (browserPolicyBackup) {
+        clearBrowserPolicies();
+    }
+}
+
+// Rewrite the hosts section and firewall rules as the union of all running blocks
+function applyBlocks() {
+    const runningIds = getRunningBlockIds();
+    const domains = getBlockedDomains();
+    const newContent = withBlockSection(readHostsFile());
+
+    if (!writeHostsFile(newContent)) {
+        return false;
+    }
+    hostsSectionHash = hashBlockSection(newContent);
+
+    if (domains.length > 0) {
+        applyFirewallRules(domains);
+    } else {
+        clearFirewallRules();
+    }
+
+    updateDnsProxy();
+    updateBlockPage();
+    updateBrowserPolicies();
+    flushDNSCache();
+
+    const started = runningIds.filter(blockId => !appliedBlockIds.includes(blockId));
+    appliedBlockIds = runningIds;
+    started.forEach(blockId => emitEvent('block-started', describeBlockEvent(blockId, blocks[blockId])));
+    return true;
+}
+
+// Whether replacing a running block with `next` would weaken it
+function isLooserBlock(previous, next) {
+    const previousDomains = previous.domains.map(domain => domain.toLowerCase());
+    const nextDomains = next.domains.map(domain => domain.toLowerCase());
+
+    if (next.endTime < previous.endTime || next.startTime > clock.now()) return true;
+    if ((previous.mode || 'blocklist') !== next.mode) return true;
+    if (previous.subdomains && !next.subdomains) return true;
+
+    // Blocklists may only gain domains, allowlists may only lose them
+    return next.mode === 'allowlist'
+        ? nextDomains.some(domain => !previousDomains.includes(domain))
+        : previousDomains.some(domain => !nextDomains.includes(domain));
+}
+
+function scheduleBlock(blockId, domains, startTime, endTime, blocklistId, { blocklistName, mode = 'blocklist', subdomains = false, blockPage = false, override } = {}) {
+    if (!blockId) {
+        return { success: false, error: 'Missing blockId' };
+    }
+    if (!Array.isArray(domains) || !(endTime > startTime)) {
+        return { success: false, error: 'Invalid block' };
+    }
+    if (endTime <= clock.now()) {
+        return { success: false, error: 'Block has already ended' };
+    }
+
+    const startsNow = startTime <= clock.now();
+    log(startsNow
+        ? `Starting block ${blockId}: ${domains.length} domains until ${new Date(endTime).toISOString()}`
+        : `Scheduling block ${blockId}: ${domains.length} domains from ${new Date(startTime).toISOString()} until ${new Date(endTime).toISOString()}`);
+
+    const previous = blocks[blockId];
+    const next = { domains, startTime, endTime, blocklistId, blocklistName, mode, subdomains: !!subdomains, blockPage: !!blockPage, override: normalizePolicy(override) };
+
+    // A running block can only be ended early through its override policy
+    if (previous && isBlockRunning(previous)) {
+        if (normalizePolicy(previous.override).type !== 'none' && isLooserBlock(previous, next)) {
+            return { success: false, overrideRequired: true, error: 'A running block cannot be shortened or loosened' };
+        }
+        next.override = previous.override;
+        next.attempts = previous.attempts;
+    }
+
+    blocks[blockId] = next;
+
+    // Keep the link to the recurring schedule this block is an occurrence of
+    if (previous && previous.scheduleId) {
+        blocks[blockId].scheduleId = previous.scheduleId;
+    }
+
+    const wasRunning = !!(previous && previous.activatedAt);
+    if (wasRunning) {
+        blocks[blockId].activatedAt = previous.activatedAt;
+    } else if (startsNow) {
+        blocks[blockId].activatedAt = clock.now();
+    }
+
+    if (!applyBlocks()) {
+        if (previous) {
+            blocks[blockId] = previous;
+        } else {
+            delete blocks[blockId];
+        }
+        return { success: false, error: 'Failed to write hosts file' };
+    }
+
+    saveState();
+
+    if (startsNow && !wasRunning) {
+        appendJournal('block-started', describeJournalBlock(blockId, blocks[blockId]));
+    }
+
+    // Start the checkup timer if not already running
+    if (!checkupInterval) {
+        startCheckupTimer();
+    }
+
+    log(startsNow ? 'Block started successfully' : 'Block scheduled successfully');
+    return { success: true };
+}
+
+function startBlock(blockId, domains, endTime, blocklistId, options) {
+    return scheduleBlock(blockId, domains, clock.now(), endTime, blocklistId, options);
+}
+
+// Remove a block without checking its override policy. `overrideMethod` is the
+// policy that was satisfied to end a running block, recorded in the journal.
+function removeBlock(blockId, overrideMethod) {
+    if (!blocks[blockId]) {
+        return { success: true, message: 'No active block' };
+    }
+
+    log(`Clearing block ${blockId}...`);
+
+    const cleared = blocks[blockId];
+    delete blocks[blockId];
+
+    if (!applyBlocks()) {
+        blocks[blockId] = cleared;
+        return { success: false, error: 'Failed to clear hosts file' };
+    }
+
+    // Don't bring back a schedule occurrence that was ended early
+    if (cleared.scheduleId) {
+        skippedOccurrences[blockId] = cleared.endTime;
+    }
+
+    saveState();
+    emitEvent('block-cleared', describeBlockEvent(blockId, cleared));
+    appendJournal('block-cleared', {
+        ...describeJournalBlock(blockId, cleared),
+        attempts: cleared.attempts || {},
+        running: isBlockRunning(cleared),
+        overrideMethod: isBlockRunning(cleared) ? overrideMethod : undefined
+    });
+
+    log('Block cleared successfully');
+    return { success: true };
+}
+
+// Remove a block that hasn't started yet, or a running one whose policy allows ending it at any time
+function clearBlock(blockId) {
+    const block = blocks[blockId];
+    if (block && isBlockRunning(block) && isLockedPolicy(normalizePolicy(block.override))) {
+        return { success: false, locked: true, error: 'This block is locked and cannot be ended early' };
+    }
+    if (block && isBlockRunning(block) && normalizePolicy(block.override).type !== 'none') {
+        return {
+            success: false,
+            overrideRequired: true,
+            error: 'This block is running; complete its override challenge to end it early'
+        };
+    }
+    return removeBlock(blockId, 'none');
+}
+
+// Make a running block last longer. Extending never weakens a block, so it
+// needs no override challenge; it can only move the end time later.
+function extendBlock(blockId, endTime) {
+    const block = blocks[blockId];
+    if (!block || !isBlockRunning(block)) {
+        return { success: false, error: 'No running block' };
+    }
+    if (typeof endTime !== 'number' || !(endTime > block.endTime)) {
+        return { success: false, error: 'A block can only be extended to end later' };
+    }
+
+    const previousEndTime = block.endTime;
+    log(`Extending block ${blockId} until ${new Date(endTime).toISOString()}`);
+
+    block.endTime = endTime;
+    saveState();
+    emitEvent('block-extended', { ...describeBlockEvent(blockId, block), previousEndTime });
+    appendJournal('block-extended', { ...describeJournalBlock(blockId, block), previousEndTime });
+
+    return { success: true, endTime };
+}
+
+// Record a visit to a blocked site (reported by the browser extension, the block
+// page or the DNS proxy) and count it per domain. Only the domain is kept, not
+// the full address.
+function reportAttempt(blockId, url, source) {
+    const block = blocks[blockId];
+    if (!block || !isBlockRunning(block)) {
+        return { success: false, error: 'No running block' };
+    }
+
+    const domain = normalizeDomain(url || '');
+    if (!domain) {
+        return { success: false, error: 'Invalid URL' };
+    }
+
+    const now = clock.now();
+    const key = `${blockId} ${domain}`;
+    const last = recentAttempts.get(key);
+    recentAttempts.set(key, now);
+    recentAttempts.forEach((time, otherKey) => {
+        if (now - time >= ATTEMPT_INTERVAL_MS) {
+            recentAttempts.delete(otherKey);
+        }
+    });
+    if (last !== undefined && now - last < ATTEMPT_INTERVAL_MS) {
+        return { success: true, counted: false };
+    }
+
+    block.attempts = { ...(block.attempts || {}), [domain]: ((block.attempts || {})[domain] || 0) + 1 };
+    saveState();
+
+    const details = { blockId, blocklistId: block.blocklistId, domain, source: source || 'unknown' };
+    emitEvent('block-attempted', { ...details, attempts: block.attempts });
+    appendJournal('block-attempted', details);
+    return { success: true, counted: true };
+}
+
+// A refused lookup of a blocklist's site is an attempt. Allowlists refuse
+// mostly the resources of allowed sites, so their refusals aren't counted.
+function reportRefusedName(name) {
+    const blockId = getRunningBlockIds()
+        .find(id => blocks[id].mode !== 'allowlist' && blockCoversName(name, blocks[id]));
+    if (blockId) {
+        reportAttempt(blockId, name, 'dns');
+    }
+}
+
+// Override challenges
+function pruneOverrideChallenges(now) {
+    Object.keys(overrideChallenges).forEach(challengeId => {
+        const challenge = overrideChallenges[challengeId];
+        if (challenge.expiresAt <= now || !blocks[challenge.blockId]) {
+            delete overrideChallenges[challengeId];
+        }
+    });
+}
+
+function describeChallenge(challengeId) {
+    const challenge = overrideChallenges[challengeId];
+    return {
+        success: true,
+        challengeId,
+        type: challenge.type,
+        text: challenge.text,
+        readyAt: challenge.readyAt
+    };
+}
+
+function requestOverride(blockId) {
+    const block = blocks[blockId];
+    const now = clock.now();
+    if (!block || !isBlockRunning(block, now)) {
+        return { success: false, error: 'No running block' };
+    }
+
+    pruneOverrideChallenges(now);
+
+    // Asking again returns the same challenge, so a delay can't be restarted or skipped
+    const existingId = Object.keys(overrideChallenges).find(id => overrideChallenges[id].blockId === blockId);
+    if (existingId) {
+        return describeChallenge(existingId);
+    }
+
+    const policy = normalizePolicy(block.override);
+    if (isLockedPolicy(policy)) {
+        return { success: false, locked: true, error: 'This block is locked and cannot be ended early' };
+    }
+
+    const challenge = { blockId, type: isTypingPolicy(policy) ? 'typing' : policy.type };
+
+    if (policy.type === 'delay') {
+        challenge.readyAt = now + policy.count * 60 * 1000;
+    } else if (isTypingPolicy(policy)) {
+        challenge.text = createChallengeText(policy);
+    }
+    challenge.expiresAt = (challenge.readyAt || now) + OVERRIDE_CHALLENGE_TTL_MS;
+
+    const challengeId = createChallenge();
+    overrideChallenges[challengeId] = challenge;
+
+    log(`Issued ${challenge.type} override challenge for block ${blockId}`);
+    return describeChallenge(challengeId);
+}
+
+function confirmOverride(blockId, challengeId, response) {
+    const challenge = overrideChallenges[challengeId];
+    const now = clock.now();
+
+    if (!challenge || challenge.blockId !== blockId || challenge.expiresAt <= now) {
+        return { success: false, error: 'The override challenge has expired, please try again' };
+    }
+    if (challenge.readyAt && now < challenge.readyAt) {
+        return { success: false, error: 'The override delay has not passed yet', readyAt: challenge.readyAt };
+    }
+    if (challenge.text !== undefined && response !== challenge.text) {
+        return { success: false, error: 'The typed text does not match' };
+    }
+
+    delete overrideChallenges[challengeId];
+    log(`Override challenge completed for block ${blockId}`);
+    return removeBlock(blockId, blocks[blockId] ? normalizePolicy(blocks[blockId].override).type : undefined);
+}
+
+// Recurring schedules
+function setSchedules(blocklistId, domains, rules, timeZone = getSystemTimeZone(), { blocklistName, mode = 'blocklist', subdomains = false, blockPage = false, override } = {}) {
+    if (!blocklistId) {
+        return { success: false, error: 'Missing blocklistId' };
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (err) {
+        return { success: false, error: `Invalid time zone: ${timeZone}` };
+    }
+
+    const validRules = (rules || []).filter(isValidSchedule);
+
+    // Drop upcoming occurrences of this blocklist so they are recomputed;
+    // occurrences that are already running keep going
+    const now = clock.now();
+    Object.keys(blocks).forEach(blockId => {
+        const block = blocks[blockId];
+        if (block.scheduleId && block.blocklistId === blocklistId && block.startTime > now) {
+            delete blocks[blockId];
+        }
+    });
+
+    if (validRules.length > 0) {
+        schedules[blocklistId] = {
+            domains: domains || [],
+            rules: validRules,
+            timeZone,
+            blocklistName,
+            mode,
+            subdomains: !!subdomains,
+            blockPage: !!blockPage,
+            override: normalizePolicy(override)
+        };
+        log(`Set ${validRules.length} schedule(s) for blocklist ${blocklistId} in ${timeZone}`);
+    } else if (schedules[blocklistId]) {
+        delete schedules[blocklistId];
+        log(`Removed schedules for blocklist ${blocklistId}`);
+    }
+
+    materializeSchedules();
+    saveState();
+
+    if (!checkupInterval && hasPendingWork()) {
+        startCheckupTimer();
+    }
+
+    return { success: true };
+}
+
+// Turn schedule occurrences within the lookahead window into scheduled blocks
+function materializeSchedules() {
+    const now = clock.now();
+    let added = false;
+
+    Object.keys(skippedOccurrences).forEach(blockId => {
+        if (skippedOccurrences[blockId] <= now) {
+            delete skippedOccurrences[blockId];
+        }
+    });
+
+    for (const [blocklistId, schedule] of Object.entries(schedules)) {
+        schedule.rules.forEach(rule => {
+            getOccurrences(rule, now, now + SCHEDULE_LOOKAHEAD_MS, schedule.timeZone).forEach(occurrence => {
+                if (blocks[occurrence.id] || skippedOccurrences[occurrence.id]) return;
+
+                blocks[occurrence.id] = {
+                    domains: schedule.domains,
+                    startTime: occurrence.startTime,
+                    endTime: occurrence.endTime,
+                    blocklistId,
+                    blocklistName: schedule.blocklistName,
+                    mode: schedule.mode,
+                    subdomains: !!schedule.subdomains,
+                    blockPage: !!schedule.blockPage,
+                    override: schedule.override,
+                    scheduleId: rule.id
+                };
+                added = true;
+            });
+        });
+    }
+
+    return added;
+}
+
+function hasPendingWork() {
+    return Object.keys(blocks).length > 0 || Object.keys(schedules).length > 0;
+}
+
+function getBlockStatus(blockId) {
+    const block = blocks[blockId];
+    const now = clock.now();
+    if (!block || block.endTime <= now) {
+        return { active: false, blockId };
+    }
+
+    return {
+        active: isBlockRunning(block, now),
+        scheduled: !isBlockRunning(block, now),
+        blockId,
+        domains: block.domains,
+        startTime: block.startTime,
+        endTime: block.endTime,
+        blocklistId: block.blocklistId,
+        blocklistName: block.blocklistName,
+        mode: block.mode || 'blocklist',
+        subdomains: !!block.subdomains,
+        blockPage: !!block.blockPage,
+        override: normalizePolicy(block.override),
+        attempts: block.attempts || {},
+        remainingMs: block.endTime - now
+    };
+}
+
+function getStatus(blockId) {
+    if (blockId) {
+        return getBlockStatus(blockId);
+    }
+
+    const statuses = Object.keys(blocks).map(getBlockStatus);
+    const running = statuses.filter(status => status.active);
+
+    return {
+        active: running.length > 0,
+        blocks: running,
+        scheduled: statuses.filter(status => status.scheduled),
+        tamperEvents
+    };
+}
+
+// Notice changes to the system clock. While a block runs the helper keeps its
+// own time, so moving the clock forward doesn't end it early. Whenever none is
+// running it follows the system clock again, taking in NTP corrections (e.g.
+// after a reboot) before upcoming blocks start.
+function checkClock() {
+    if (getRunningBlockIds().length === 0) {
+        clock.resync();
+        return;
+    }
+
+    const jump = clock.detectJump();
+    if (jump !== 0) {
+        const minutes = Math.round(Math.abs(jump) / 60000);
+        recordTamper('clock', `System clock was moved ${jump > 0 ? 'forward' : 'back'} by ${minutes} minutes; blocks keep to the real time`);
+    }
+}
+
+// Checkup timer - runs every second
+function startCheckupTimer() {
+    if (checkupInterval) return;
 
     log('Starting checkup timer');
 
     checkupInterval = setInterval(() => {
-        // Check if block has expired
-        if (currentBlock && Date.now() >= currentBlock.endTime) {
-            log('Block has expired, clearing automatically');
-            clearBlock();
-            return;
+        checkClock();
+
+        // Drop any blocks that have expired
+        const now = clock.now();
+        const expired = Object.keys(blocks)
+            .filter(blockId => blocks[blockId].endTime <= now)
+            .map(blockId => ({ ...describeJournalBlock(blockId, blocks[blockId]), attempts: blocks[blockId].attempts || {} }));
+
+        expired.forEach(({ blockId }) => {
+            log(`Block ${blockId} has expired, clearing automatically`);
+            delete blocks[blockId];
+        });
+
+        // Queue up the next occurrences of recurring schedules
+        const materialized = materializeSchedules();
+
+        // Re-apply when blocks expired or a scheduled block reached its start time
+        const runningIds = getRunningBlockIds();
+        const started = runningIds.filter(blockId => !appliedBlockIds.includes(blockId));
+
+        // Blocks restored after a restart were activated before and aren't journaled again
+        const activated = started.filter(blockId => !blocks[blockId].activatedAt);
+        activated.forEach(blockId => {
+            blocks[blockId].activatedAt = now;
+        });
+
+        if (expired.length > 0 || started.length > 0) {
+            started.forEach(blockId => log(`Block ${blockId} has reached its start time, applying`));
+            applyBlocks();
+        }
+
+        if (expired.length > 0 || started.length > 0 || materialized) {
+            saveState();
         }
 
+        activated.forEach(blockId => appendJournal('block-activated', describeJournalBlock(blockId, blocks[blockId])));
+        expired.forEach(details => {
+            emitEvent('block-expired', describeBlockEvent(details.blockId, details));
+            appendJournal('block-expired', details);
+        });
+
         // If there's an active block, check integrity
-        if (currentBlock) {
+        if (runningIds.length > 0) {
             checkBlockIntegrity();
-        } else {
-            // No active block, stop the timer
+            refreshFirewallRules();
+        } else if (!hasPendingWork()) {
+            // No active or scheduled blocks, stop the timer
             stopCheckupTimer();
         }
     }, 1000);
@@ -374,43 +1776,143 @@ function stopCheckupTimer() {
 }
 
 function checkBlockIntegrity() {
-    if (!currentBlock) return;
+    if (needsDnsProxy()) {
+        if (!dnsProxy) {
+            // Starting failed earlier (e.g. port 53 was busy), try again
+            startDnsProxy();
+        } else if (dnsProxy.listening && !isUsingLocalResolver()) {
+            recordTamper('dns', 'DNS settings were changed, pointing them back at the proxy');
+            try {
+                useLocalResolver(resolverBackup);
+                flushDNSCache();
+            } catch (err) {
+                logError('Failed to re-apply DNS settings', err);
+            }
+        }
+    }
 
+    if (needsBlockPage() && shouldStartBlockPage()) {
+        // Starting failed earlier (e.g. another server had the port), try again
+        startBlockPage();
+    }
+
+    if (getRunningBlockIds().length === 0) return;
+
+    // Compare the exact section we wrote, so emptied or commented-out entries are caught too
     const hostsContent = readHostsFile();
+    if (hashBlockSection(hostsContent) === hostsSectionHash) return;
+
+    recordTamper('hosts', containsBlock(hostsContent)
+        ? 'Block section of the hosts file was modified, re-applying'
+        : 'Block was removed from the hosts file, re-applying');
+
+    rewriteBlockSection();
+}
 
-    if (!containsBlock(hostsContent)) {
-        log('Block was removed from hosts file, re-applying...');
-        const newContent = addBlockToHosts(hostsContent, currentBlock.domains);
-        writeHostsFile(newContent);
-        flushDNSCache();
+// Rewrite the hosts section for the running blocks, keeping the rest of the file
+function rewriteBlockSection() {
+    const newContent = withBlockSection(readHostsFile());
+    if (!writeHostsFile(newContent)) {
+        return false;
     }
+    hostsSectionHash = hashBlockSection(newContent);
+    saveState();
+    flushDNSCache();
+    return true;
 }
 
 // IPC Server
-function handleCommand(command) {
-    log(`Received command: ${command.action}`);
+function readClientSecret() {
+    try {
+        return fs.readFileSync(CLIENT_SECRET_PATH, 'utf8').trim() || null;
+    } catch (err) {
+        return null;
+    }
+}
 
-    switch (command.action) {
-        case 'start-block':
-            return startBlock(command.domains, command.endTime, command.blocklistId);
+function authenticate(challenge, response) {
+    // Read on every attempt so a reinstall takes effect without a restart
+    const secret = readClientSecret();
+    if (!secret) {
+        log(`No client secret at ${CLIENT_SECRET_PATH}, refusing client (reinstall the helper)`);
+        return false;
+    }
+    return verifyResponse(secret, challenge, response);
+}
 
-        case 'clear-block':
-            return clearBlock();
+// Commands the helper accepts, by action; `hello` reports their names to clients
+const commandHandlers = {
+    'hello': (command) => {
+        if (command.protocolVersion !== PROTOCOL_VERSION) {
+            log(`Client speaks protocol ${command.protocolVersion || 'unknown'}, helper speaks ${PROTOCOL_VERSION}`);
+        }
+        return {
+            success: true,
+            protocolVersion: PROTOCOL_VERSION,
+            helperVersion: HELPER_VERSION,
+            actions: Object.keys(commandHandlers)
+        };
+    },
 
-        case 'get-status':
-            return getStatus();
+    'start-block': (command) => startBlock(command.blockId, command.domains, command.endTime, command.blocklistId, {
+        blocklistName: command.blocklistName,
+        mode: command.mode,
+        subdomains: command.subdomains,
+        blockPage: command.blockPage,
+        override: command.override
+    }),
 
-        case 'ping':
-            return { success: true, message: 'pong' };
+    'schedule-block': (command) => scheduleBlock(command.blockId, command.domains, command.startTime, command.endTime, command.blocklistId, {
+        blocklistName: command.blocklistName,
+        mode: command.mode,
+        subdomains: command.subdomains,
+        blockPage: command.blockPage,
+        override: command.override
+    }),
 
-        default:
-            return { success: false, error: `Unknown command: ${command.action}` };
-    }
+    'set-schedules': (command) => setSchedules(command.blocklistId, command.domains, command.schedules, command.timeZone, {
+        blocklistName: command.blocklistName,
+        mode: command.mode,
+        subdomains: command.subdomains,
+        blockPage: command.blockPage,
+        override: command.override
+    }),
+
+    'clear-block': (command) => clearBlock(command.blockId),
+
+    'extend-block': (command) => extendBlock(command.blockId, command.endTime),
+
+    'report-attempt': (command) => reportAttempt(command.blockId, command.url, command.source),
+
+    'request-override': (command) => requestOverride(command.blockId),
+
+    'confirm-override': (command) => confirmOverride(command.blockId, command.challengeId, command.response),
+
+    'get-status': (command) => getStatus(command.blockId),
+
+    'restore-hosts': (command) => restoreHosts(command.backup),
+
+    'get-history': (command) => getHistory(command.from, command.to),
+
+    'subscribe': (command, socket) => subscribe(socket),
+
+    'ping': () => ({ success: true, message: 'pong' })
+};
+
+function handleCommand(command, socket) {
+    log(`Received command: ${command.action}`);
+    checkClock();
+
+    const handler = Object.prototype.hasOwnProperty.call(commandHandlers, command.action)
+        ? commandHandlers[command.action]
+        : null;
+
+    return handler ? handler(command, socket) : null;
 }
 
 function startServer() {
     // Clean up old socket if it exists
-    if (process.platform !== 'win32' && fs.existsSync(SOCKET_PATH)) {
+    if (typeof SOCKET_PATH === 'string' && fs.existsSync(SOCKET_PATH)) {
         fs.unlinkSync(SOCKET_PATH);
     }
 
@@ -418,8 +1920,16 @@ function startServer() {
         log('Client connected');
 
         let buffer = '';
+        let authenticated = false;
+        const challenge = createChallenge();
+
+        // Clients answer this before sending commands
+        socket.write(JSON.stringify({ challenge }) + '\n');
 
         socket.on('data', (data) => {
+            // Ignore anything sent after the connection was refused
+            if (socket.writableEnded) return;
+
             buffer += data.toString();
 
             // Handle complete messages (newline-delimited JSON)
@@ -429,13 +1939,44 @@ function startServer() {
             for (const line of lines) {
                 if (!line.trim()) continue;
 
+                let command;
                 try {
-                    const command = JSON.parse(line);
-                    const response = handleCommand(command);
-                    socket.write(JSON.stringify(response) + '\n');
+                    command = JSON.parse(line);
                 } catch (err) {
                     logError('Failed to parse command', err);
-                    socket.write(JSON.stringify({ success: false, error: 'Invalid JSON' }) + '\n');
+                    socket.write(formatError(undefined, ERROR_CODES.PARSE_ERROR, 'Invalid JSON'));
+                    continue;
+                }
+
+                if (!command || typeof command !== 'object') {
+                    socket.write(formatError(undefined, ERROR_CODES.INVALID_REQUEST, 'Invalid request'));
+                    continue;
+                }
+
+                if (command.action === 'auth') {
+                    authenticated = authenticate(challenge, command.response);
+                    if (!authenticated) {
+                        log('Client failed authentication');
+                        socket.end(formatError(command, ERROR_CODES.NOT_AUTHENTICATED, 'Authentication failed'));
+                        return;
+                    }
+                    socket.write(formatResult(command, { success: true }));
+                    continue;
+                }
+
+                if (!authenticated) {
+                    socket.end(formatError(command, ERROR_CODES.NOT_AUTHENTICATED, 'Not authenticated'));
+                    return;
+                }
+
+                try {
+                    const response = handleCommand(command, socket);
+                    socket.write(response
+                        ? formatResult(command, response)
+                        : formatError(command, ERROR_CODES.METHOD_NOT_FOUND, `Unknown command: ${command.action}`));
+                } catch (err) {
+                    logError(`Failed to handle ${command.action}`, err);
+                    socket.write(formatError(command, ERROR_CODES.INTERNAL_ERROR, err.message));
                 }
             }
         });
@@ -461,8 +2002,8 @@ function startServer() {
     server.listen(...listenArgs, () => {
         log(`Helper daemon listening on ${SOCKET_PATH}`);
 
-        // Set socket permissions (readable by all, but we'll add security later)
-        if (process.platform !== 'win32') {
+        // Any user may connect; commands still require authentication
+        if (typeof SOCKET_PATH === 'string' && process.platform !== 'win32') {
             fs.chmodSync(SOCKET_PATH, 0o666);
         }
     });
@@ -472,6 +2013,7 @@ function startServer() {
         log('Received SIGTERM, shutting down...');
         server.close();
         stopCheckupTimer();
+        releaseResolver();
         process.exit(0);
     });
 
@@ -479,21 +2021,61 @@ function startServer() {
         log('Received SIGINT, shutting down...');
         server.close();
         stopCheckupTimer();
+        releaseResolver();
         process.exit(0);
     });
 }
 
+// Don't leave the system pointed at a proxy that is going away. The backup is
+// kept in the state file so the next start re-enables the proxy if needed.
+function releaseResolver() {
+    if (!dnsProxy || !resolverBackup) return;
+
+    try {
+        restoreResolverConfig(resolverBackup);
+    } catch (err) {
+        logError('Failed to restore DNS settings', err);
+    }
+}
+
 // Main entry point
 function main() {
     log('ReDD Block Helper Daemon starting...');
+    log(`Version: ${HELPER_VERSION} (protocol ${PROTOCOL_VERSION})`);
     log(`Platform: ${process.platform}`);
     log(`Running as: ${process.getuid ? `UID ${process.getuid()}` : 'N/A'}`);
+    if (SANDBOXED) {
+        log(`Sandbox mode in ${SANDBOX_DIR}: firewall and DNS settings are left alone`);
+    }
+    log(`Hosts file: ${HOSTS_PATH}, state: ${DATA_PATH}`);
+
+    // A fresh sandbox starts with an empty hosts file
+    if (SANDBOXED && !fs.existsSync(HOSTS_PATH)) {
+        fs.mkdirSync(path.dirname(HOSTS_PATH), { recursive: true });
+        fs.writeFileSync(HOSTS_PATH, '');
+    }
 
     // Load any persisted state
-    loadState();
+    // Blocks that ended while the helper was stopped are still in the hosts file,
+    // and the checkup timer that would clear them may not start
+    const expired = loadState();
+    if (expired.length > 0) {
+        applyBlocks();
+        saveState();
+        expired.forEach(details => appendJournal('block-expired', { ...details, whileStopped: true }));
+    }
+
+    // Bring the DNS proxy back up, or restore DNS settings left behind by a crash
+    updateDnsProxy();
+
+    // Serve the block page again for blocks that were running before a restart
+    updateBlockPage();
+
+    // Likewise for browser policies, e.g. when the last block expired while the helper was stopped
+    updateBrowserPolicies();
 
-    // If there's an active block, start the checkup timer
-    if (currentBlock) {
+    // If there are active or scheduled blocks, start the checkup timer
+    if (hasPendingWork()) {
         startCheckupTimer();
     }
 
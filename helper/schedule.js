@@ -0,0 +1,172 @@
+/**
+ * Recurring schedules for ReDD Block
+ *
+ * A schedule repeats on a set of weekdays within a wall-clock time window,
+ * e.g. { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }.
+ *
+ * Occurrences are worked out in an explicit IANA time zone rather than the
+ * process time zone, so the long-running helper follows the user's current
+ * zone and DST transitions keep the wall-clock times (a 09:00 block starts
+ * at 09:00 local time on both sides of a DST change).
+ *
+ * Shared by the helper daemon and the renderer.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Get the time zone the current process is running in
+ */
+function getSystemTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Get the wall-clock date and time of a timestamp in a time zone
+ * @param {number} time - Unix timestamp in ms
+ * @param {string} timeZone - IANA time zone name
+ */
+function getZonedParts(time, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return parts;
+}
+
+// Offset of the time zone from UTC at the given instant, in ms
+function getOffset(time, timeZone) {
+    const p = getZonedParts(time, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a Unix timestamp.
+ * Times skipped by a DST change resolve to the same instant shifted forward
+ * (02:30 on a spring-forward night becomes 03:30); repeated times resolve to
+ * their first occurrence.
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timeZone - IANA time zone name
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const first = guess - getOffset(guess, timeZone);
+    const second = guess - getOffset(first, timeZone);
+
+    if (first === second) return first;
+
+    // The offset changed between the guess and the result: if the second
+    // candidate maps back to the requested wall time it's the right one,
+    // otherwise the time falls in a DST gap and the later instant is used
+    const p = getZonedParts(second, timeZone);
+    if (p.hour === hour && p.minute === minute) return second;
+    return Math.max(first, second);
+}
+
+function parseTime(value) {
+    const [hour, minute] = String(value).split(':').map(n => parseInt(n, 10));
+    return { hour: hour || 0, minute: minute || 0 };
+}
+
+// Whether a value is a time of day, 'H:MM' or 'HH:MM' from 00:00 to 23:59
+function isValidTime(value) {
+    if (!/^\d{1,2}:\d{2}$/.test(value)) return false;
+    const { hour, minute } = parseTime(value);
+    return hour < 24 && minute < 60;
+}
+
+/**
+ * Check that a schedule has at least one day and a usable time window
+ * @param {Object} schedule - { days: number[] (0-6), start: 'HH:MM', end: 'HH:MM' }
+ */
+function isValidSchedule(schedule) {
+    if (!schedule || !Array.isArray(schedule.days) || schedule.days.length === 0) return false;
+    if (!schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) return false;
+    if (!isValidTime(schedule.start) || !isValidTime(schedule.end)) return false;
+
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    return start.hour !== end.hour || start.minute !== end.minute;
+}
+
+/**
+ * List the occurrences of a schedule that overlap [from, to).
+ * A window whose end is before its start (e.g. 22:00-02:00) runs overnight.
+ * @param {Object} schedule - { id, days: number[] (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }
+ * @param {number} from - Unix timestamp in ms
+ * @param {number} to - Unix timestamp in ms
+ * @param {string} [timeZone] - IANA time zone name, defaults to the system zone
+ * @returns {Array<{ id: string, scheduleId: string, startTime: number, endTime: number }>}
+ */
+function getOccurrences(schedule, from, to, timeZone = getSystemTimeZone()) {
+    if (!isValidSchedule(schedule)) return [];
+
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const overnight = end.hour * 60 + end.minute <= start.hour * 60 + start.minute;
+
+    // Walk calendar days in the schedule's zone, starting the day before
+    // `from` so an overnight window that is already running is included
+    const first = getZonedParts(from - DAY_MS, timeZone);
+    const occurrences = [];
+
+    for (let i = 0; ; i++) {
+        const date = new Date(Date.UTC(first.year, first.month - 1, first.day + i));
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+
+        const startTime = zonedTimeToUtc(year, month, day, start.hour, start.minute, timeZone);
+        if (startTime >= to) break;
+
+        if (!schedule.days.includes(date.getUTCDay())) continue;
+
+        const endDate = new Date(Date.UTC(year, month - 1, day + (overnight ? 1 : 0)));
+        const endTime = zonedTimeToUtc(
+            endDate.getUTCFullYear(), endDate.getUTCMonth() + 1, endDate.getUTCDate(),
+            end.hour, end.minute, timeZone
+        );
+
+        if (endTime > from && endTime > startTime) {
+            occurrences.push({
+                id: `${schedule.id}@${startTime}`,
+                scheduleId: schedule.id,
+                startTime,
+                endTime
+            });
+        }
+    }
+
+    return occurrences;
+}
+
+module.exports = {
+    getSystemTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    isValidSchedule,
+    getOccurrences
+};
@@ -0,0 +1,66 @@
+/**
+ * Tests for reading the site from a TLS handshake and rendering the block page
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseServerName, renderBlockPage } = require('../block-page');
+
+// A TLS record holding a ClientHello, with a server name extension when a name is given
+function clientHello(serverName) {
+    const extensions = [];
+    // An extension before the server name, which has to be skipped
+    extensions.push(Buffer.from([0x00, 0x0b, 0x00, 0x02, 0x01, 0x00]));
+    if (serverName) {
+        const name = Buffer.from(serverName, 'ascii');
+        const entry = Buffer.concat([Buffer.from([0x00, name.length >> 8, name.length & 0xff]), name]);
+        const list = Buffer.concat([Buffer.from([entry.length >> 8, entry.length & 0xff]), entry]);
+        extensions.push(Buffer.concat([Buffer.from([0x00, 0x00, list.length >> 8, list.length & 0xff]), list]));
+    }
+    const extensionBytes = Buffer.concat(extensions);
+
+    const body = Buffer.concat([
+        Buffer.from([0x03, 0x03]),                                  // Client version
+        Buffer.alloc(32, 0xab),                                     // Random
+        Buffer.from([0x00]),                                        // Session ID
+        Buffer.from([0x00, 0x02, 0x13, 0x01]),                      // Cipher suites
+        Buffer.from([0x01, 0x00]),                                  // Compression methods
+        Buffer.from([extensionBytes.length >> 8, extensionBytes.length & 0xff]),
+        extensionBytes
+    ]);
+    const handshake = Buffer.concat([Buffer.from([0x01, 0x00, body.length >> 8, body.length & 0xff]), body]);
+    return Buffer.concat([Buffer.from([0x16, 0x03, 0x01, handshake.length >> 8, handshake.length & 0xff]), handshake]);
+}
+
+test('the site is read from the server name in a ClientHello', () => {
+    assert.equal(parseServerName(clientHello('www.Reddit.com')), 'www.reddit.com');
+});
+
+test('handshakes without a readable server name give no site', () => {
+    const hello = clientHello('www.reddit.com');
+
+    assert.equal(parseServerName(clientHello(null)), null);
+    assert.equal(parseServerName(hello.subarray(0, 50)), null);
+    assert.equal(parseServerName(hello.subarray(0, 4)), null);
+    assert.equal(parseServerName(Buffer.from('GET / HTTP/1.1\r\n')), null);
+});
+
+test('the visited site and blocklist name are escaped on the page', () => {
+    const html = renderBlockPage('<script>alert(1)</script>', {
+        blocklistName: 'Social "media" & <news>',
+        endTime: Date.now() + 60000,
+        remainingMs: 60000
+    });
+
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(html.includes('Social &quot;media&quot; &amp; &lt;news&gt; is blocking this site'));
+});
+
+test('a site no longer blocked gets a page without a countdown', () => {
+    const html = renderBlockPage('reddit.com', null);
+
+    assert.ok(html.includes('This site is no longer blocked'));
+    assert.ok(!html.includes('<script>'));
+});
@@ -0,0 +1,233 @@
+/**
+ * Tests for the browser policies: what is set, and how policies that were
+ * already there are merged with ours and put back
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    FIREFOX_POLICY_NAMES,
+    buildUrlFilters,
+    buildChromiumPolicies,
+    parseMacPolicies,
+    buildMacPolicyCommands,
+    buildMacClearCommands,
+    parseRegistryPolicies,
+    buildRegistryPolicyCommands,
+    buildRegistryClearCommands,
+    getFirefoxPolicyPath,
+    buildFirefoxPolicies,
+    buildFirefoxMacPolicyCommands,
+    buildFirefoxMacClearCommands
+} = require('../browser-policies');
+
+const CHROME_PLIST = `'/Library/Managed Preferences/com.google.Chrome'`;
+const FIREFOX_PLIST = `'/Library/Preferences/org.mozilla.firefox'`;
+const CHROME_KEY = 'HKLM\\SOFTWARE\\Policies\\Google\\Chrome';
+const DOH_OFF = { disableDoh: true };
+
+test('blocklist entries with a path become URL filters, whole sites are left to DNS', () => {
+    const blocks = [{ domains: ['https://www.youtube.com/shorts/', 'reddit.com', 'reddit.com/r/all'], mode: 'blocklist' }];
+
+    assert.deepEqual(buildUrlFilters(blocks), {
+        urlBlocklist: ['youtube.com/shorts', 'reddit.com/r/all'],
+        urlAllowlist: []
+    });
+});
+
+test('an allowlist entry with a path blocks the rest of that site only', () => {
+    const blocks = [{ domains: ['youtube.com/watch', 'github.com', 'github.com/settings'], mode: 'allowlist' }];
+
+    assert.deepEqual(buildUrlFilters(blocks), {
+        urlBlocklist: ['youtube.com'],
+        urlAllowlist: ['youtube.com/watch', 'github.com/settings']
+    });
+});
+
+test('filters from several blocks are combined without duplicates', () => {
+    const blocks = [
+        { domains: ['youtube.com/shorts'], mode: 'blocklist' },
+        { domains: ['YouTube.com/shorts', 'x.com/explore'], mode: 'blocklist' }
+    ];
+
+    assert.deepEqual(buildUrlFilters(blocks).urlBlocklist, ['youtube.com/shorts', 'x.com/explore']);
+    assert.deepEqual(buildUrlFilters([]), { urlBlocklist: [], urlAllowlist: [] });
+});
+
+test('Chromium gets DNS-over-HTTPS turned off and the URL lists that are needed', () => {
+    assert.deepEqual(buildChromiumPolicies(DOH_OFF), { DnsOverHttpsMode: 'off' });
+    assert.deepEqual(buildChromiumPolicies({ disableDoh: true, urlBlocklist: ['youtube.com/shorts'] }), {
+        DnsOverHttpsMode: 'off',
+        URLBlocklist: ['youtube.com/shorts']
+    });
+    assert.deepEqual(buildChromiumPolicies({ disableDoh: false }), {});
+});
+
+test('managed preferences are read back from plutil output', () => {
+    const output = JSON.stringify({
+        DnsOverHttpsMode: 'secure',
+        URLBlocklist: ['example.com'],
+        HomepageLocation: 'https://example.com'
+    });
+
+    assert.deepEqual(parseMacPolicies(output), { DnsOverHttpsMode: 'secure', URLBlocklist: ['example.com'] });
+    assert.deepEqual(parseMacPolicies(null), {});
+    assert.deepEqual(parseMacPolicies('not json'), {});
+});
+
+test('Chromium policies on macOS replace an existing value and put it back on clear', () => {
+    const originals = { 'com.google.Chrome': { DnsOverHttpsMode: 'secure' } };
+    const apply = buildMacPolicyCommands(buildChromiumPolicies(DOH_OFF), originals);
+    const clear = buildMacClearCommands(originals);
+
+    assert.equal(apply.length, 12);
+    assert.equal(apply[0], `defaults write ${CHROME_PLIST} DnsOverHttpsMode '<string>off</string>'`);
+    assert.equal(clear[0], `defaults write ${CHROME_PLIST} DnsOverHttpsMode '<string>secure</string>'`);
+    // Browsers that had nothing set get ours removed again
+    assert.equal(clear[3], `defaults delete '/Library/Managed Preferences/org.chromium.Chromium' DnsOverHttpsMode`);
+});
+
+test('URL lists on macOS keep the entries that were there and get them back on clear', () => {
+    const originals = { 'com.google.Chrome': { URLBlocklist: ['example.com', 'youtube.com/shorts'] } };
+    const policies = buildChromiumPolicies({ disableDoh: true, urlBlocklist: ['youtube.com/shorts', 'x.com/explore'] });
+
+    assert.deepEqual(buildMacPolicyCommands(policies, originals).slice(0, 3), [
+        `defaults write ${CHROME_PLIST} DnsOverHttpsMode '<string>off</string>'`,
+        `defaults write ${CHROME_PLIST} URLBlocklist '<array><string>example.com</string><string>youtube.com/shorts</string><string>x.com/explore</string></array>'`,
+        `defaults delete ${CHROME_PLIST} URLAllowlist`
+    ]);
+    assert.deepEqual(buildMacClearCommands(originals).slice(0, 3), [
+        `defaults delete ${CHROME_PLIST} DnsOverHttpsMode`,
+        `defaults write ${CHROME_PLIST} URLBlocklist '<array><string>example.com</string><string>youtube.com/shorts</string></array>'`,
+        `defaults delete ${CHROME_PLIST} URLAllowlist`
+    ]);
+});
+
+test('registry policies are read back from reg query output', () => {
+    const output = [
+        '',
+        'HKEY_LOCAL_MACHINE\\SOFTWARE\\Policies\\Google\\Chrome',
+        '    DnsOverHttpsMode    REG_SZ    automatic',
+        '    BrowserSignin    REG_DWORD    0x0',
+        '',
+        'HKEY_LOCAL_MACHINE\\SOFTWARE\\Policies\\Google\\Chrome\\URLBlocklist',
+        '    2    REG_SZ    example.org',
+        '    1    REG_SZ    example.com',
+        '',
+        'HKEY_LOCAL_MACHINE\\SOFTWARE\\Policies\\Google\\Chrome\\Recommended',
+        '    DnsOverHttpsMode    REG_SZ    secure',
+        ''
+    ].join('\r\n');
+
+    assert.deepEqual(parseRegistryPolicies(output, CHROME_KEY), {
+        DnsOverHttpsMode: 'automatic',
+        URLBlocklist: ['example.com', 'example.org']
+    });
+    assert.deepEqual(parseRegistryPolicies(output, 'HKLM\\SOFTWARE\\Policies\\Chromium'), {});
+    assert.deepEqual(parseRegistryPolicies(null, CHROME_KEY), {});
+});
+
+test('Chromium policies on Windows replace an existing value and put it back on clear', () => {
+    const originals = { [CHROME_KEY]: { DnsOverHttpsMode: 'automatic' } };
+
+    assert.equal(buildRegistryPolicyCommands(buildChromiumPolicies(DOH_OFF), originals)[0],
+        `reg add "${CHROME_KEY}" /v DnsOverHttpsMode /t REG_SZ /d "off" /f`);
+    assert.deepEqual(buildRegistryClearCommands(originals).slice(0, 4), [
+        `reg add "${CHROME_KEY}" /v DnsOverHttpsMode /t REG_SZ /d "automatic" /f`,
+        `reg delete "${CHROME_KEY}\\URLBlocklist" /f`,
+        `reg delete "${CHROME_KEY}\\URLAllowlist" /f`,
+        'reg delete "HKLM\\SOFTWARE\\Policies\\Chromium" /v DnsOverHttpsMode /f'
+    ]);
+});
+
+test('URL lists on Windows are numbered subkeys that keep the entries that were there', () => {
+    const originals = { [CHROME_KEY]: { URLAllowlist: ['github.com/settings'] } };
+    const policies = buildChromiumPolicies({ disableDoh: true, urlAllowlist: ['youtube.com/watch'] });
+
+    assert.deepEqual(buildRegistryPolicyCommands(policies, originals).slice(1, 5), [
+        `reg delete "${CHROME_KEY}\\URLBlocklist" /f`,
+        `reg delete "${CHROME_KEY}\\URLAllowlist" /f`,
+        `reg add "${CHROME_KEY}\\URLAllowlist" /v 1 /t REG_SZ /d "github.com/settings" /f`,
+        `reg add "${CHROME_KEY}\\URLAllowlist" /v 2 /t REG_SZ /d "youtube.com/watch" /f`
+    ]);
+    assert.deepEqual(buildRegistryClearCommands(originals).slice(2, 4), [
+        `reg delete "${CHROME_KEY}\\URLAllowlist" /f`,
+        `reg add "${CHROME_KEY}\\URLAllowlist" /v 1 /t REG_SZ /d "github.com/settings" /f`
+    ]);
+});
+
+test('Firefox policies.json keeps the policies that were already there', () => {
+    const original = JSON.stringify({
+        policies: {
+            DisableTelemetry: true,
+            DNSOverHTTPS: { ProviderURL: 'https://dns.example/dns-query' }
+        }
+    });
+
+    assert.deepEqual(JSON.parse(buildFirefoxPolicies(original, DOH_OFF)), {
+        policies: {
+            DisableTelemetry: true,
+            DNSOverHTTPS: { ProviderURL: 'https://dns.example/dns-query', Enabled: false, Locked: true }
+        }
+    });
+    // A missing or unreadable file is replaced; the original is put back afterwards
+    assert.deepEqual(JSON.parse(buildFirefoxPolicies('{', DOH_OFF)), {
+        policies: { DNSOverHTTPS: { Enabled: false, Locked: true } }
+    });
+});
+
+test('Firefox website filters are added to the ones in policies.json', () => {
+    const original = JSON.stringify({
+        policies: { WebsiteFilter: { Block: ['*://*.example.com/*'] } }
+    });
+    const options = { disableDoh: true, urlBlocklist: ['youtube.com/shorts'], urlAllowlist: ['reddit.com/r/rust'] };
+
+    assert.deepEqual(JSON.parse(buildFirefoxPolicies(original, options)).policies.WebsiteFilter, {
+        Block: ['*://*.example.com/*', '*://*.youtube.com/shorts*'],
+        Exceptions: ['*://*.reddit.com/r/rust*']
+    });
+    assert.equal(JSON.parse(buildFirefoxPolicies(null, DOH_OFF)).policies.WebsiteFilter, undefined);
+});
+
+test('Firefox on macOS has no policies.json to write', () => {
+    assert.equal(getFirefoxPolicyPath('darwin'), null);
+    assert.equal(getFirefoxPolicyPath('linux'), '/etc/firefox/policies/policies.json');
+});
+
+test('Firefox policies on macOS go in its preference domain, merged with what was there', () => {
+    assert.deepEqual(buildFirefoxMacPolicyCommands(DOH_OFF), [
+        `defaults write ${FIREFOX_PLIST} EnterprisePoliciesEnabled -bool true`,
+        `defaults write ${FIREFOX_PLIST} DNSOverHTTPS '<dict><key>Enabled</key><false/><key>Locked</key><true/></dict>'`,
+        `defaults delete ${FIREFOX_PLIST} WebsiteFilter`
+    ]);
+
+    const original = parseMacPolicies(JSON.stringify({ DNSOverHTTPS: { Fallback: false } }), FIREFOX_POLICY_NAMES);
+    assert.equal(buildFirefoxMacPolicyCommands(DOH_OFF, original)[1],
+        `defaults write ${FIREFOX_PLIST} DNSOverHTTPS '<dict><key>Fallback</key><false/><key>Enabled</key><false/><key>Locked</key><true/></dict>'`);
+    assert.deepEqual(buildFirefoxMacClearCommands(original), [
+        `defaults write ${FIREFOX_PLIST} DNSOverHTTPS '<dict><key>Fallback</key><false/></dict>'`,
+        `defaults delete ${FIREFOX_PLIST} WebsiteFilter`
+    ]);
+});
+
+test('URL filters on macOS become a website filter dictionary', () => {
+    const commands = buildFirefoxMacPolicyCommands({
+        disableDoh: true,
+        urlBlocklist: ['youtube.com/shorts'],
+        urlAllowlist: ['reddit.com/r/rust']
+    });
+
+    assert.equal(commands[2],
+        `defaults write ${FIREFOX_PLIST} WebsiteFilter '<dict>` +
+        '<key>Block</key><array><string>*://*.youtube.com/shorts*</string></array>' +
+        '<key>Exceptions</key><array><string>*://*.reddit.com/r/rust*</string></array>' +
+        `</dict>'`);
+});
+
+test('clearing Firefox on macOS removes only the policies the helper sets', () => {
+    assert.deepEqual(buildFirefoxMacClearCommands(), [
+        `defaults delete ${FIREFOX_PLIST} DNSOverHTTPS`,
+        `defaults delete ${FIREFOX_PLIST} WebsiteFilter`
+    ]);
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for which names the DNS proxy refuses in allowlist and subdomain modes
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeDomain, matchesDomain, expandAllowlist, blockCoversName, isNameBlocked } = require('../dns-policy');
+
+const ALLOW_GITHUB = { domains: ['github.com'], mode: 'allowlist' };
+const BLOCK_REDDIT_SUBDOMAINS = { domains: ['reddit.com'], mode: 'blocklist', subdomains: true };
+
+test('entries and queried names are reduced to a bare lowercase domain', () => {
+    assert.equal(normalizeDomain('https://www.Example.com/path?q=1'), 'example.com');
+    assert.equal(normalizeDomain('Example.COM.'), 'example.com');
+    assert.equal(normalizeDomain('  example.com:8080 '), 'example.com');
+    assert.equal(normalizeDomain('old.reddit.com'), 'old.reddit.com');
+});
+
+test('a domain matches itself and its subdomains, not names that merely end the same', () => {
+    assert.equal(matchesDomain('reddit.com', 'reddit.com'), true);
+    assert.equal(matchesDomain('old.reddit.com', 'reddit.com'), true);
+    assert.equal(matchesDomain('notreddit.com', 'reddit.com'), false);
+    assert.equal(matchesDomain('reddit.com.evil.net', 'reddit.com'), false);
+});
+
+test('allowed sites bring the domains they load from', () => {
+    assert.deepEqual(expandAllowlist(['https://github.com/']).sort(), [
+        'github.com', 'github.io', 'githubassets.com', 'githubusercontent.com'
+    ]);
+    // Subdomains of a known site get its dependencies too
+    assert.ok(expandAllowlist(['mail.google.com']).includes('gstatic.com'));
+    assert.deepEqual(expandAllowlist(['example.org', '']), ['example.org']);
+});
+
+test('an allowlist lets through its sites, their subdomains and dependencies', () => {
+    assert.equal(isNameBlocked('github.com', [ALLOW_GITHUB]), false);
+    assert.equal(isNameBlocked('api.github.com', [ALLOW_GITHUB]), false);
+    assert.equal(isNameBlocked('avatars.githubusercontent.com', [ALLOW_GITHUB]), false);
+    assert.equal(isNameBlocked('reddit.com', [ALLOW_GITHUB]), true);
+    assert.equal(isNameBlocked('notgithub.com', [ALLOW_GITHUB]), true);
+});
+
+test('queried names are matched regardless of case and a trailing dot', () => {
+    assert.equal(isNameBlocked('API.GitHub.com.', [ALLOW_GITHUB]), false);
+    assert.equal(isNameBlocked('Reddit.COM.', [ALLOW_GITHUB]), true);
+    assert.equal(isNameBlocked('OLD.reddit.com.', [BLOCK_REDDIT_SUBDOMAINS]), true);
+});
+
+test('every running allowlist has to allow a name', () => {
+    const allowWikipedia = { domains: ['wikipedia.org'], mode: 'allowlist' };
+
+    assert.equal(isNameBlocked('github.com', [ALLOW_GITHUB, allowWikipedia]), true);
+});
+
+test('subdomain blocking refuses the domain and everything under it', () => {
+    assert.equal(isNameBlocked('reddit.com', [BLOCK_REDDIT_SUBDOMAINS]), true);
+    assert.equal(isNameBlocked('old.reddit.com', [BLOCK_REDDIT_SUBDOMAINS]), true);
+    assert.equal(isNameBlocked('www.reddit.com', [BLOCK_REDDIT_SUBDOMAINS]), true);
+    assert.equal(isNameBlocked('notreddit.com', [BLOCK_REDDIT_SUBDOMAINS]), false);
+    assert.equal(isNameBlocked('github.com', [BLOCK_REDDIT_SUBDOMAINS]), false);
+});
+
+test('plain blocklists are left to the hosts file', () => {
+    const block = { domains: ['reddit.com'], mode: 'blocklist', subdomains: false };
+
+    assert.equal(isNameBlocked('reddit.com', [block]), false);
+    assert.equal(isNameBlocked('old.reddit.com', [block]), false);
+});
+
+test('names the system needs are never refused', () => {
+    assert.equal(isNameBlocked('localhost', [ALLOW_GITHUB]), false);
+    assert.equal(isNameBlocked('time.apple.com', [ALLOW_GITHUB]), false);
+    assert.equal(isNameBlocked('1.0.0.127.in-addr.arpa', [ALLOW_GITHUB]), false);
+    assert.equal(isNameBlocked('', [ALLOW_GITHUB]), false);
+});
+
+test('a block covers the names it blocks through either the hosts file or the proxy', () => {
+    const block = { domains: ['reddit.com', 'https://youtube.com/shorts'], mode: 'blocklist', subdomains: false };
+
+    assert.equal(blockCoversName('reddit.com', block), true);
+    assert.equal(blockCoversName('old.reddit.com', block), false);
+    assert.equal(blockCoversName('old.reddit.com', BLOCK_REDDIT_SUBDOMAINS), true);
+    // Path-level entries are left to the browsers
+    assert.equal(blockCoversName('youtube.com', block), false);
+    assert.equal(blockCoversName('reddit.com', ALLOW_GITHUB), true);
+    assert.equal(blockCoversName('api.github.com', ALLOW_GITHUB), false);
+    assert.equal(blockCoversName('localhost', ALLOW_GITHUB), false);
+});
+
+test('nothing is refused while no block runs', () => {
+    assert.equal(isNameBlocked('reddit.com', []), false);
+});
@@ -0,0 +1,235 @@
+/**
+ * Tests for the DNS proxy's message handling, forwarding and resolver switching
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    DnsProxy,
+    parseQuestion,
+    buildNxdomainResponse,
+    buildAddressResponse,
+    forwardUdp,
+    captureResolverConfig,
+    useLocalResolver,
+    isUsingLocalResolver,
+    restoreResolverConfig
+} = require('../dns-proxy');
+
+const TYPE_A = 1;
+const TYPE_AAAA = 28;
+const TYPE_HTTPS = 65;
+const BLOCK_PAGE = { ipv4: '127.0.0.1', ipv6: '::1' };
+
+// A recursive query for one name
+function buildQuery(name, type = TYPE_A, id = 0x1234) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header[2] = 0x01;               // RD
+    header.writeUInt16BE(1, 4);     // QDCOUNT
+    const labels = name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label, 'ascii')]));
+    const tail = Buffer.alloc(4);
+    tail.writeUInt16BE(type, 0);
+    tail.writeUInt16BE(1, 2);       // Class IN
+    return Buffer.concat([header, ...labels, Buffer.from([0]), tail]);
+}
+
+// An upstream answer: the query with QR set and a marker in ARCOUNT
+function buildReply(query, marker, id = query.readUInt16BE(0)) {
+    const reply = Buffer.from(query);
+    reply.writeUInt16BE(id, 0);
+    reply[2] |= 0x80;
+    reply.writeUInt16BE(marker, 10);
+    return reply;
+}
+
+function tempResolvConf(content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redd-resolv-'));
+    const file = path.join(dir, 'resolv.conf');
+    fs.writeFileSync(file, content);
+    return { dir, file };
+}
+
+test('the first question of a query is read', () => {
+    const query = buildQuery('www.Example.com', 28);
+
+    assert.deepEqual(parseQuestion(query), { name: 'www.Example.com', type: 28, end: query.length });
+});
+
+test('malformed queries have no question', () => {
+    const query = buildQuery('example.com');
+    const noQuestions = Buffer.from(query);
+    noQuestions.writeUInt16BE(0, 4);
+    const longLabel = Buffer.from(query);
+    longLabel[12] = 64;
+
+    assert.equal(parseQuestion(query.subarray(0, 8)), null);
+    assert.equal(parseQuestion(query.subarray(0, query.length - 2)), null);
+    assert.equal(parseQuestion(noQuestions), null);
+    assert.equal(parseQuestion(longLabel), null);
+});
+
+test('an NXDOMAIN answer echoes the query ID and question', () => {
+    const query = buildQuery('reddit.com');
+    const response = buildNxdomainResponse(query, parseQuestion(query));
+
+    assert.equal(response.readUInt16BE(0), 0x1234);
+    assert.equal(response[2], 0x81);           // QR and RD
+    assert.equal(response[3] & 0x0f, 3);       // NXDOMAIN
+    assert.deepEqual([4, 6, 8, 10].map(offset => response.readUInt16BE(offset)), [1, 0, 0, 0]);
+    assert.deepEqual(response.subarray(12), query.subarray(12));
+});
+
+test('block page answers point the name at its address for the asked family', () => {
+    const query = buildQuery('reddit.com');
+    const response = buildAddressResponse(query, parseQuestion(query), BLOCK_PAGE);
+    const answer = response.subarray(query.length);
+
+    assert.equal(response.readUInt16BE(0), 0x1234);
+    assert.equal(response[3] & 0x0f, 0);       // NOERROR
+    assert.equal(response.readUInt16BE(6), 1); // ANCOUNT
+    assert.equal(answer.readUInt16BE(0), 0xc00c);
+    assert.equal(answer.readUInt16BE(2), TYPE_A);
+    assert.equal(answer.readUInt16BE(10), 4);
+    assert.deepEqual([...answer.subarray(12)], [127, 0, 0, 1]);
+
+    const query6 = buildQuery('reddit.com', TYPE_AAAA);
+    const answer6 = buildAddressResponse(query6, parseQuestion(query6), BLOCK_PAGE).subarray(query6.length);
+    assert.equal(answer6.readUInt16BE(10), 16);
+    assert.deepEqual([...answer6.subarray(12)], [...Buffer.alloc(15), 1]);
+});
+
+test('block page answers have no records for other types or a missing family', () => {
+    const https = buildQuery('reddit.com', TYPE_HTTPS);
+    const query6 = buildQuery('reddit.com', TYPE_AAAA);
+
+    const httpsResponse = buildAddressResponse(https, parseQuestion(https), BLOCK_PAGE);
+    assert.equal(httpsResponse.readUInt16BE(6), 0);
+    assert.equal(httpsResponse.length, https.length);
+    assert.equal(buildAddressResponse(query6, parseQuestion(query6), { ipv4: '127.0.0.1', ipv6: null }).readUInt16BE(6), 0);
+});
+
+test('forwarded queries only accept the upstream reply carrying their ID', async () => {
+    const upstream = dgram.createSocket('udp4');
+    const stranger = dgram.createSocket('udp4');
+    await new Promise(resolve => upstream.bind(0, '127.0.0.1', resolve));
+    await new Promise(resolve => stranger.bind(0, '127.0.0.1', resolve));
+
+    upstream.on('message', (query, rinfo) => {
+        // A reply from another port, then one for another query, then the real one
+        stranger.send(buildReply(query, 1), rinfo.port, rinfo.address, () => {
+            upstream.send(buildReply(query, 2, 0x9999), rinfo.port, rinfo.address, () => {
+                upstream.send(buildReply(query, 3), rinfo.port, rinfo.address);
+            });
+        });
+    });
+
+    try {
+        const response = await forwardUdp(buildQuery('example.com'), '127.0.0.1', upstream.address().port);
+        assert.equal(response.readUInt16BE(10), 3);
+    } finally {
+        upstream.close();
+        stranger.close();
+    }
+});
+
+test('refused names are answered without going upstream', async () => {
+    const forwarded = [];
+    const proxy = new DnsProxy({ upstreams: ['192.0.2.1'], isBlocked: name => name === 'reddit.com' });
+    const forward = async (query, upstream) => {
+        forwarded.push(upstream);
+        return buildReply(query, 1);
+    };
+
+    const refused = await proxy.resolve(buildQuery('reddit.com'), forward);
+    assert.equal(refused[3] & 0x0f, 3);
+    assert.deepEqual(forwarded, []);
+
+    const allowed = await proxy.resolve(buildQuery('github.com'), forward);
+    assert.equal(allowed.readUInt16BE(10), 1);
+    assert.deepEqual(forwarded, ['192.0.2.1']);
+});
+
+test('refused names with a block page are answered with its address', async () => {
+    const proxy = new DnsProxy({
+        upstreams: ['192.0.2.1'],
+        isBlocked: () => true,
+        redirect: name => (name === 'reddit.com' ? BLOCK_PAGE : null)
+    });
+    const forward = async () => assert.fail('refused names are never forwarded');
+
+    assert.equal((await proxy.resolve(buildQuery('reddit.com'), forward)).readUInt16BE(6), 1);
+    assert.equal((await proxy.resolve(buildQuery('youtube.com'), forward))[3] & 0x0f, 3);
+});
+
+test('every refused name is reported as an attempt', async () => {
+    const refused = [];
+    const proxy = new DnsProxy({
+        upstreams: ['192.0.2.1'],
+        isBlocked: name => name !== 'github.com',
+        onRefused: name => refused.push(name)
+    });
+    const forward = async query => buildReply(query, 1);
+
+    await proxy.resolve(buildQuery('reddit.com'), forward);
+    await proxy.resolve(buildQuery('github.com'), forward);
+    await proxy.resolve(buildQuery('old.reddit.com'), forward);
+    assert.deepEqual(refused, ['reddit.com', 'old.reddit.com']);
+});
+
+test('allowed queries fall through to the next upstream when one fails', async () => {
+    const proxy = new DnsProxy({ upstreams: ['192.0.2.1', '192.0.2.2'], isBlocked: () => false });
+    const forward = async (query, upstream) => {
+        if (upstream === '192.0.2.1') throw new Error('timed out');
+        return buildReply(query, 2);
+    };
+
+    assert.equal((await proxy.resolve(buildQuery('github.com'), forward)).readUInt16BE(10), 2);
+    assert.equal(await proxy.resolve(buildQuery('github.com'), async () => { throw new Error('down'); }), null);
+});
+
+test('resolv.conf is pointed at the proxy and put back', { skip: process.platform !== 'linux' }, () => {
+    const original = 'search lan\nnameserver 192.168.1.1\nnameserver 127.0.0.1\n';
+    const { dir, file } = tempResolvConf(original);
+
+    try {
+        const backup = captureResolverConfig(file);
+        // The proxy's own address is never an upstream
+        assert.deepEqual(backup.upstreams, ['192.168.1.1']);
+        assert.equal(isUsingLocalResolver(file), false);
+
+        useLocalResolver(backup);
+        assert.equal(isUsingLocalResolver(file), true);
+        assert.match(fs.readFileSync(file, 'utf8'), /^# Managed by ReDD Block/);
+
+        restoreResolverConfig(backup);
+        assert.equal(fs.readFileSync(file, 'utf8'), original);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a symlinked resolv.conf is replaced while blocking and linked again after', { skip: process.platform !== 'linux' }, () => {
+    const { dir, file: stub } = tempResolvConf('nameserver 127.0.0.53\n');
+    const file = path.join(dir, 'resolv.conf.link');
+    fs.symlinkSync(stub, file);
+
+    try {
+        const backup = captureResolverConfig(file);
+        assert.deepEqual(backup.upstreams, ['127.0.0.53']);
+
+        useLocalResolver(backup);
+        assert.equal(fs.lstatSync(file).isSymbolicLink(), false);
+        assert.equal(fs.readFileSync(stub, 'utf8'), 'nameserver 127.0.0.53\n');
+
+        restoreResolverConfig(backup);
+        assert.equal(fs.readlinkSync(file), stub);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
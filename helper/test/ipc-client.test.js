@@ -0,0 +1,113 @@
+/**
+ * Tests for the helper client's handshake, against stand-in helpers that
+ * speak the way installed helpers do
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const client = require('../ipc-client');
+const { createChallenge, verifyResponse } = require('../auth');
+const { PROTOCOL_VERSION, HELPER_VERSION, needsUpgrade } = require('../protocol');
+
+const SECRET = 'test-secret';
+const HELLO = { success: true, protocolVersion: PROTOCOL_VERSION, helperVersion: HELPER_VERSION };
+
+let dir;
+let server;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redd-block-test-'));
+    fs.writeFileSync(path.join(dir, 'client-secret'), SECRET);
+    client.setSocketPath(path.join(dir, 'helper.sock'));
+    client.setSecretPath(path.join(dir, 'client-secret'));
+});
+
+afterEach(async () => {
+    client.close();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Reply to each newline-delimited request with handle(request)
+function onRequests(socket, handle) {
+    let buffer = '';
+    socket.on('data', (data) => {
+        buffer += data.toString();
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const request = JSON.parse(buffer.substring(0, newlineIndex));
+            buffer = buffer.substring(newlineIndex + 1);
+            handle(request);
+        }
+    });
+}
+
+// Like the current helper: a challenge, then requests only once it is answered
+function serveAuthenticated(socket, challengeDelay = 0) {
+    const challenge = createChallenge();
+    let authenticated = false;
+    let challengeSent = false;
+    setTimeout(() => {
+        challengeSent = true;
+        socket.write(JSON.stringify({ challenge }) + '\n');
+    }, challengeDelay);
+
+    // A busy helper reads what arrived meanwhile only after sending the challenge
+    onRequests(socket, (request) => setTimeout(() => {
+        if (socket.destroyed) return;
+        if (request.action === 'auth') {
+            authenticated = verifyResponse(SECRET, challenge, request.response);
+            socket.write(JSON.stringify({ success: authenticated }) + '\n');
+        } else if (!authenticated) {
+            socket.end(JSON.stringify({ success: false, error: 'Not authenticated' }) + '\n');
+        } else {
+            socket.write(JSON.stringify({ id: request.id, result: HELLO }) + '\n');
+        }
+    }, challengeSent ? 0 : challengeDelay));
+}
+
+function listen(onConnection) {
+    server = net.createServer(onConnection);
+    return new Promise(resolve => server.listen(path.join(dir, 'helper.sock'), resolve));
+}
+
+test('a helper from before authentication is reported as needing an upgrade', async () => {
+    // Like the original helper: no challenge, bare responses, no ids
+    await listen((socket) => onRequests(socket, (request) => {
+        socket.write(JSON.stringify({ success: false, error: `Unknown command: ${request.action}` }) + '\n');
+    }));
+
+    const hello = await client.hello();
+
+    assert.equal(hello.success, false);
+    assert.match(hello.error, /Unknown command/);
+    assert.equal(needsUpgrade(hello), true);
+});
+
+test('a current helper is authenticated before it gets requests', async () => {
+    await listen((socket) => serveAuthenticated(socket));
+
+    const hello = await client.hello();
+
+    assert.equal(hello.success, true);
+    assert.equal(needsUpgrade(hello), false);
+});
+
+test('a helper that is slow to send its challenge is still authenticated', async () => {
+    let connections = 0;
+    await listen((socket) => {
+        connections++;
+        serveAuthenticated(socket, 1500);
+    });
+
+    const hello = await client.hello();
+
+    assert.equal(hello.success, true);
+    assert.equal(needsUpgrade(hello), false);
+    assert.equal(connections, 2);
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for the pf anchor rules and pf.conf registration
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPfAnchorRules, addAnchorToPfConf, removeAnchorFromPfConf } = require('../pf-rules');
+
+const GENERATED_AT = new Date('2026-01-05T09:00:00.000Z');
+
+// pf.conf as shipped with macOS
+const STOCK_PF_CONF = `#
+# Default PF configuration file.
+#
+scrub-anchor "com.apple/*"
+nat-anchor "com.apple/*"
+rdr-anchor "com.apple/*"
+dummynet-anchor "com.apple/*"
+anchor "com.apple/*"
+load anchor "com.apple" from "/etc/pf.anchors/com.apple"
+`;
+
+const REGISTERED_PF_CONF = STOCK_PF_CONF +
+    'anchor "com.redd.block"\n' +
+    'load anchor "com.redd.block" from "/etc/pf.anchors/com.redd.block"\n';
+
+test('anchor rules block the addresses of both families', () => {
+    const rules = buildPfAnchorRules({ ipv4: ['151.101.1.140', '151.101.65.140'], ipv6: ['2a04:4e42::396'] }, GENERATED_AT);
+
+    assert.equal(rules,
+        '# ReDD Block pf rules - generated 2026-01-05T09:00:00.000Z\n' +
+        'table <redd_block> persist { 151.101.1.140, 151.101.65.140, 2a04:4e42::396 }\n' +
+        'block return out quick proto { tcp, udp } from any to <redd_block>\n');
+});
+
+test('anchor rules without addresses keep an empty table', () => {
+    const rules = buildPfAnchorRules({ ipv4: [], ipv6: [] }, GENERATED_AT);
+
+    assert.equal(rules,
+        '# ReDD Block pf rules - generated 2026-01-05T09:00:00.000Z\n' +
+        'table <redd_block> persist\n' +
+        'block return out quick proto { tcp, udp } from any to <redd_block>\n');
+});
+
+test('the anchor is appended after the existing pf.conf', () => {
+    assert.equal(addAnchorToPfConf(STOCK_PF_CONF), REGISTERED_PF_CONF);
+});
+
+test('the anchor is appended on a line of its own when pf.conf has no final newline', () => {
+    assert.equal(addAnchorToPfConf(STOCK_PF_CONF.trimEnd()), REGISTERED_PF_CONF);
+});
+
+test('adding the anchor again leaves pf.conf unchanged', () => {
+    assert.equal(addAnchorToPfConf(REGISTERED_PF_CONF), REGISTERED_PF_CONF);
+});
+
+test('removing the anchor restores the original pf.conf', () => {
+    assert.equal(removeAnchorFromPfConf(REGISTERED_PF_CONF), STOCK_PF_CONF);
+    assert.equal(removeAnchorFromPfConf(addAnchorToPfConf(STOCK_PF_CONF)), STOCK_PF_CONF);
+});
+
+test('removing the anchor from a pf.conf without it changes nothing', () => {
+    assert.equal(removeAnchorFromPfConf(STOCK_PF_CONF), STOCK_PF_CONF);
+});
+
+test('lines added by the user around the anchor survive removal', () => {
+    const content = REGISTERED_PF_CONF + 'pass out quick on lo0 all\n';
+
+    assert.equal(removeAnchorFromPfConf(content), STOCK_PF_CONF + 'pass out quick on lo0 all\n');
+});
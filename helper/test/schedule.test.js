@@ -0,0 +1,114 @@
+/**
+ * Tests for recurring schedules: validation and occurrences across time zones and DST
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isValidSchedule, getOccurrences, zonedTimeToUtc } = require('../schedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = { id: 's1', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+// Occurrences as ISO strings, which read more easily in failures
+function occurrencesIn(schedule, from, to, timeZone) {
+    return getOccurrences(schedule, Date.parse(from), Date.parse(to), timeZone).map(occurrence => [
+        new Date(occurrence.startTime).toISOString(),
+        new Date(occurrence.endTime).toISOString()
+    ]);
+}
+
+test('weekday and overnight windows are valid', () => {
+    assert.equal(isValidSchedule(WEEKDAYS), true);
+    assert.equal(isValidSchedule({ days: [0, 6], start: '22:00', end: '2:00' }), true);
+    assert.equal(isValidSchedule({ days: [3], start: '00:00', end: '23:59' }), true);
+});
+
+test('times outside a day are rejected', () => {
+    assert.equal(isValidSchedule({ ...WEEKDAYS, start: '25:00' }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, end: '24:00' }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, start: '09:60' }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, end: '25:99' }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, start: '9am' }), false);
+});
+
+test('days must be whole weekday numbers', () => {
+    assert.equal(isValidSchedule({ ...WEEKDAYS, days: [] }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, days: [7] }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, days: [-1] }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, days: [1.5] }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, days: ['1'] }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, days: undefined }), false);
+});
+
+test('a window that starts when it ends is rejected', () => {
+    assert.equal(isValidSchedule({ ...WEEKDAYS, end: '09:00' }), false);
+    assert.equal(isValidSchedule({ ...WEEKDAYS, end: '9:00' }), false);
+});
+
+test('invalid schedules have no occurrences', () => {
+    const from = Date.UTC(2026, 0, 5);
+
+    assert.equal(getOccurrences(WEEKDAYS, from, from + 7 * DAY_MS, 'UTC').length, 5);
+    assert.deepEqual(getOccurrences({ ...WEEKDAYS, start: '25:99' }, from, from + 7 * DAY_MS, 'UTC'), []);
+});
+
+test('wall-clock times stay put across spring-forward', () => {
+    // New York moves from UTC-5 to UTC-4 on Sunday 8 March 2026
+    const schedule = { id: 's1', days: EVERY_DAY, start: '09:00', end: '17:00' };
+
+    assert.deepEqual(occurrencesIn(schedule, '2026-03-07T00:00:00Z', '2026-03-10T00:00:00Z', 'America/New_York'), [
+        ['2026-03-07T14:00:00.000Z', '2026-03-07T22:00:00.000Z'],
+        ['2026-03-08T13:00:00.000Z', '2026-03-08T21:00:00.000Z'],
+        ['2026-03-09T13:00:00.000Z', '2026-03-09T21:00:00.000Z']
+    ]);
+});
+
+test('a start in the spring-forward gap moves to the same time after the change', () => {
+    const schedule = { id: 's1', days: [0], start: '02:30', end: '04:00' };
+
+    // 02:30 doesn't exist that night, so the window opens at 03:30 EDT
+    assert.deepEqual(occurrencesIn(schedule, '2026-03-08T00:00:00Z', '2026-03-09T00:00:00Z', 'America/New_York'), [
+        ['2026-03-08T07:30:00.000Z', '2026-03-08T08:00:00.000Z']
+    ]);
+});
+
+test('a start in the repeated hour at fall-back uses its first occurrence', () => {
+    // New York moves from UTC-4 back to UTC-5 at 02:00 on Sunday 1 November 2026
+    const schedule = { id: 's1', days: [0], start: '01:30', end: '03:00' };
+
+    assert.equal(new Date(zonedTimeToUtc(2026, 11, 1, 1, 30, 'America/New_York')).toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.deepEqual(occurrencesIn(schedule, '2026-11-01T00:00:00Z', '2026-11-02T00:00:00Z', 'America/New_York'), [
+        ['2026-11-01T05:30:00.000Z', '2026-11-01T08:00:00.000Z']
+    ]);
+});
+
+test('overnight windows end the next day and are found while running', () => {
+    const schedule = { id: 's1', days: [5], start: '22:00', end: '02:00' };
+
+    // Friday 9 January 2026
+    assert.deepEqual(occurrencesIn(schedule, '2026-01-09T00:00:00Z', '2026-01-10T00:00:00Z', 'UTC'), [
+        ['2026-01-09T22:00:00.000Z', '2026-01-10T02:00:00.000Z']
+    ]);
+    // Asked for from 01:00 on Saturday, the Friday window is still running
+    assert.deepEqual(occurrencesIn(schedule, '2026-01-10T01:00:00Z', '2026-01-10T12:00:00Z', 'UTC'), [
+        ['2026-01-09T22:00:00.000Z', '2026-01-10T02:00:00.000Z']
+    ]);
+});
+
+test('occurrences follow the given zone, not the process zone', () => {
+    const schedule = { id: 's1', days: [1], start: '09:00', end: '17:00' };
+
+    // Monday 12 January 2026; India is UTC+5:30 with no DST
+    assert.deepEqual(occurrencesIn(schedule, '2026-01-12T00:00:00Z', '2026-01-13T00:00:00Z', 'Asia/Kolkata'), [
+        ['2026-01-12T03:30:00.000Z', '2026-01-12T11:30:00.000Z']
+    ]);
+    // Weekdays are those of the zone: 07:00 Monday in Auckland is still Sunday in UTC
+    assert.deepEqual(
+        occurrencesIn({ ...schedule, start: '07:00', end: '08:00' }, '2026-01-11T00:00:00Z', '2026-01-12T00:00:00Z', 'Pacific/Auckland'),
+        [['2026-01-11T18:00:00.000Z', '2026-01-11T19:00:00.000Z']]
+    );
+});
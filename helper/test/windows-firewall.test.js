@@ -0,0 +1,54 @@
+/**
+ * Tests for the Windows Firewall (netsh) commands
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildClearCommand, buildBlockCommands } = require('../windows-firewall');
+
+const ADD_RULE = 'netsh advfirewall firewall add rule name="ReDD Block" dir=out action=block enable=yes profile=any remoteip=';
+
+// n distinct IPv4 addresses, 10.0.0.0 upwards
+function ipv4Addresses(n) {
+    return Array.from({ length: n }, (_, i) => `10.0.${Math.floor(i / 256)}.${i % 256}`);
+}
+
+test('the clear command deletes every rule sharing the name', () => {
+    assert.equal(buildClearCommand(), 'netsh advfirewall firewall delete rule name="ReDD Block"');
+});
+
+test('no addresses means no rules', () => {
+    assert.deepEqual(buildBlockCommands({ ipv4: [], ipv6: [] }), []);
+});
+
+test('IPv4 and IPv6 addresses share a rule', () => {
+    const commands = buildBlockCommands({ ipv4: ['151.101.1.140', '151.101.65.140'], ipv6: ['2a04:4e42::396'] });
+
+    assert.deepEqual(commands, [`${ADD_RULE}151.101.1.140,151.101.65.140,2a04:4e42::396`]);
+});
+
+test('100 addresses fit in one rule', () => {
+    const addresses = ipv4Addresses(100);
+
+    assert.deepEqual(buildBlockCommands({ ipv4: addresses, ipv6: [] }), [`${ADD_RULE}${addresses.join(',')}`]);
+});
+
+test('the 101st address starts a second rule', () => {
+    const addresses = ipv4Addresses(101);
+
+    assert.deepEqual(buildBlockCommands({ ipv4: addresses, ipv6: [] }), [
+        `${ADD_RULE}${addresses.slice(0, 100).join(',')}`,
+        `${ADD_RULE}10.0.0.100`
+    ]);
+});
+
+test('IPv6 addresses continue the last IPv4 rule before starting a new one', () => {
+    const ipv4 = ipv4Addresses(99);
+    const ipv6 = ['2001:db8::1', '2001:db8::2'];
+
+    assert.deepEqual(buildBlockCommands({ ipv4, ipv6 }), [
+        `${ADD_RULE}${[...ipv4, '2001:db8::1'].join(',')}`,
+        `${ADD_RULE}2001:db8::2`
+    ]);
+});
@@ -0,0 +1,114 @@
+/**
+ * Tamper-resistant clock for the ReDD Block helper
+ *
+ * Blocks end at wall-clock times, but anyone can set the system clock. This
+ * clock advances with system uptime instead, which keeps counting through
+ * sleep and isn't affected by clock changes, so moving the system clock
+ * forward doesn't end blocks early. Its state is saved with the boot ID:
+ * after a helper restart in the same boot it carries on where it left off,
+ * while after a reboot (new boot ID, or uptime lower than saved) the elapsed
+ * time is unknown and it starts again from the wall clock.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { execSync } = require('child_process');
+
+// Disagreements between the wall clock and uptime smaller than this are drift, not jumps
+const JUMP_THRESHOLD_MS = 60 * 1000;
+
+function getBootId() {
+    try {
+        if (process.platform === 'linux') {
+            return fs.readFileSync('/proc/sys/kernel/random/boot_id', 'utf8').trim();
+        }
+        if (process.platform === 'darwin') {
+            return execSync('sysctl -n kern.bootsessionuuid', { encoding: 'utf8' }).trim();
+        }
+    } catch (err) {
+        // Fall back to the uptime check alone
+    }
+    // Windows has no boot ID; a lower uptime still reveals a reboot
+    return null;
+}
+
+function getUptimeMs() {
+    return os.uptime() * 1000;
+}
+
+class TrustedClock {
+    /**
+     * @param {Object} [sources] - Clock sources, replaceable for testing
+     * @param {Function} [sources.wallClock] - Returns wall-clock time in ms
+     * @param {Function} [sources.uptimeClock] - Returns system uptime in ms
+     * @param {string|null} [sources.bootId] - ID of the current boot
+     */
+    constructor({ wallClock = Date.now, uptimeClock = getUptimeMs, bootId = getBootId() } = {}) {
+        this.wallClock = wallClock;
+        this.uptimeClock = uptimeClock;
+        this.bootId = bootId;
+        this.resync();
+    }
+
+    /**
+     * Current time in ms, unaffected by changes to the system clock since the last resync
+     */
+    now() {
+        return this.anchorTime + (this.uptimeClock() - this.anchorUptime);
+    }
+
+    /**
+     * Check whether the wall clock jumped since the last check
+     * @returns {number} Size of the jump in ms (positive when it moved forward), 0 if it didn't
+     */
+    detectJump() {
+        const skew = this.wallClock() - this.now();
+        const jump = skew - this.acknowledgedSkew;
+
+        if (Math.abs(jump) < JUMP_THRESHOLD_MS) {
+            return 0;
+        }
+        this.acknowledgedSkew = skew;
+        return jump;
+    }
+
+    /**
+     * Follow the wall clock again, e.g. once no running block depends on this clock
+     */
+    resync() {
+        this.anchorTime = this.wallClock();
+        this.anchorUptime = this.uptimeClock();
+        this.acknowledgedSkew = 0;
+    }
+
+    /**
+     * Carry on from a saved state if it is from the current boot. A jump of the
+     * wall clock while the helper wasn't running shows up in the next detectJump().
+     * @param {Object} [saved] - Result of toJSON()
+     * @returns {boolean} Whether the saved state was used
+     */
+    restore(saved) {
+        if (!saved || saved.bootId !== this.bootId || this.uptimeClock() < saved.uptimeMs) {
+            return false;
+        }
+
+        this.anchorTime = saved.time;
+        this.anchorUptime = saved.uptimeMs;
+        this.acknowledgedSkew = saved.skewMs || 0;
+        return true;
+    }
+
+    toJSON() {
+        return {
+            bootId: this.bootId,
+            uptimeMs: this.uptimeClock(),
+            time: this.now(),
+            skewMs: this.acknowledgedSkew
+        };
+    }
+}
+
+module.exports = {
+    JUMP_THRESHOLD_MS,
+    TrustedClock
+};
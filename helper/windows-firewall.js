@@ -0,0 +1,48 @@
+/**
+ * Windows Firewall commands for the ReDD Block helper
+ *
+ * Builds the netsh commands that block outbound traffic to the resolved
+ * addresses of blocked domains. Every rule shares one name, so a single
+ * `delete rule name=...` removes the whole set at once. Nothing here runs
+ * the commands, so the output can be checked on any platform.
+ */
+
+const FIREWALL_RULE_NAME = 'ReDD Block';
+
+// netsh rejects very long remoteip lists, so addresses are split across rules
+const ADDRESSES_PER_RULE = 100;
+
+/**
+ * Build the command that removes every ReDD Block rule
+ * @returns {string}
+ */
+function buildClearCommand() {
+    return `netsh advfirewall firewall delete rule name="${FIREWALL_RULE_NAME}"`;
+}
+
+/**
+ * Build the commands that add block rules for the given addresses.
+ * Run buildClearCommand() first to replace the existing set.
+ * @param {{ ipv4: string[], ipv6: string[] }} addresses - Resolved addresses of blocked domains
+ * @returns {string[]}
+ */
+function buildBlockCommands(addresses) {
+    const all = [...addresses.ipv4, ...addresses.ipv6];
+    const commands = [];
+
+    for (let i = 0; i < all.length; i += ADDRESSES_PER_RULE) {
+        const remoteIps = all.slice(i, i + ADDRESSES_PER_RULE).join(',');
+        commands.push(
+            `netsh advfirewall firewall add rule name="${FIREWALL_RULE_NAME}" ` +
+            `dir=out action=block enable=yes profile=any remoteip=${remoteIps}`
+        );
+    }
+
+    return commands;
+}
+
+module.exports = {
+    FIREWALL_RULE_NAME,
+    buildClearCommand,
+    buildBlockCommands
+};
@@ -8,14 +8,22 @@ const sudo = require('sudo-prompt');
 // Helper daemon modules
 const helperClient = require('./helper/ipc-client');
 const helperInstaller = require('./helper/installer');
+const helperProtocol = require('./helper/protocol');
 
 let mainWindow;
 let tray;
 let blockingInterval;
+let trayHasRunningBlocks = false; // Whether the tray menu currently offers to extend blocks
+
+// How much "Extend Running Blocks" in the tray menu adds
+const TRAY_EXTEND_MINUTES = 30;
 
 // Data file path for persistent storage
 const dataPath = path.join(app.getPath('userData'), 'redd-block-data.json');
 
+// Secret the app authenticates with when talking to the helper
+helperClient.setSecretPath(helperInstaller.getClientSecretPath());
+
 // Ensure logs go to a file
 log.transports.file.level = 'info';
 
@@ -23,6 +31,7 @@ log.transports.file.level = 'info';
 const defaultData = {
     blocklists: [],
     activeBlocks: [],
+    skippedOccurrences: [],
     settings: {
         onboardingComplete: false
     }
@@ -174,6 +183,12 @@ function createTray() {
     const icon = nativeImage.createFromPath(iconPath);
     tray = new Tray(icon.resize({ width: 16, height: 16 }));
 
+    tray.setToolTip('ReDD Block');
+    updateTrayMenu();
+}
+
+// Rebuild the tray menu; extending is only offered while a block is running
+function updateTrayMenu() {
     const contextMenu = Menu.buildFromTemplate([
         {
             label: 'Open ReDD Block',
@@ -185,6 +200,13 @@ function createTray() {
                 }
             }
         },
+        {
+            label: `Extend Running Blocks by ${TRAY_EXTEND_MINUTES} Minutes`,
+            enabled: trayHasRunningBlocks,
+            click: () => {
+                extendRunningBlocks(TRAY_EXTEND_MINUTES);
+            }
+        },
         { type: 'separator' },
         {
             label: 'Quit',
@@ -194,10 +216,44 @@ function createTray() {
         }
     ]);
 
-    tray.setToolTip('ReDD Block');
     tray.setContextMenu(contextMenu);
 }
 
+// Make every running block end later, through the helper when it is installed
+async function extendRunningBlocks(minutes) {
+    const data = loadData();
+    const now = Date.now();
+    let hasChanges = false;
+
+    for (const block of data.activeBlocks) {
+        if (block.startTime > now || block.endTime <= now) continue;
+
+        const endTime = block.endTime + minutes * 60 * 1000;
+        if (helperInstaller.isHelperInstalled()) {
+            try {
+                const result = await helperClient.extendBlock(block.id, endTime);
+                if (!result.success) {
+                    log.warn(`Could not extend block ${block.id}:`, result.error);
+                    continue;
+                }
+            } catch (err) {
+                log.error(`Failed to extend block ${block.id} via helper:`, err);
+                continue;
+            }
+        }
+
+        block.endTime = endTime;
+        hasChanges = true;
+    }
+
+    if (hasChanges) {
+        saveData(data);
+        if (mainWindow && mainWindow.webContents) {
+            mainWindow.webContents.send('blocks-updated');
+        }
+    }
+}
+
 // IPC handlers
 ipcMain.handle('get-app-version', () => {
     return app.getVersion();
@@ -535,41 +591,102 @@ ipcMain.handle('block-websites', async (event, domains) => {
 // HELPER DAEMON IPC HANDLERS (passwordless blocking)
 // ============================================
 
+// Events the helper pushes; each is forwarded to the renderer on a channel of the same name
+const HELPER_EVENTS = ['block-started', 'block-extended', 'block-expired', 'block-cleared', 'block-attempted', 'tamper-detected'];
+let helperSubscribed = false;
+
+function forwardHelperEvent(event) {
+    if (!HELPER_EVENTS.includes(event.event)) return;
+
+    if (event.event === 'tamper-detected') {
+        log.warn('Helper detected tampering:', event.message);
+    } else {
+        log.info(`Helper event ${event.event}:`, event.blockId);
+    }
+
+    if (mainWindow && mainWindow.webContents) {
+        mainWindow.webContents.send(event.event, event);
+    }
+}
+
+// Listen for helper events; the client resubscribes by itself whenever the helper restarts
+async function subscribeToHelperEvents() {
+    if (helperSubscribed || !helperInstaller.isHelperInstalled()) return;
+    helperSubscribed = true;
+
+    try {
+        const response = await helperClient.subscribe(forwardHelperEvent);
+
+        if (!response.success) {
+            // Helpers from before events were added; the upgrade prompt covers this
+            helperSubscribed = false;
+            log.warn('Helper does not support events:', response.error);
+            return;
+        }
+
+        log.info('Subscribed to helper events');
+    } catch (err) {
+        log.warn('Helper events unavailable until the helper is reachable:', err.message);
+    }
+}
+
+// Let the companion browser extension reach the helper through the native messaging host
+function registerNativeHost() {
+    try {
+        helperInstaller.registerNativeHost();
+        log.info('Registered the browser extension native host');
+    } catch (err) {
+        log.warn('Failed to register the browser extension native host:', err.message);
+    }
+}
+
 // Check if the helper daemon is installed and running
 ipcMain.handle('check-helper-status', async () => {
     const installed = helperInstaller.isHelperInstalled();
     let running = false;
+    let needsUpgrade = false;
+    let helperVersion = null;
 
     if (installed) {
         try {
-            running = await helperClient.isRunning();
+            const hello = await helperClient.hello();
+            running = true;
+            helperVersion = hello.helperVersion || null;
+            needsUpgrade = helperProtocol.needsUpgrade(hello);
+            if (needsUpgrade) {
+                log.info(`Helper ${helperVersion || '(unversioned)'} is older than ${helperProtocol.HELPER_VERSION}, upgrade needed`);
+            }
         } catch (err) {
             log.warn('Helper not responding:', err.message);
         }
     }
 
-    return { installed, running };
+    return { installed, running, needsUpgrade, helperVersion };
 });
 
-// Install the helper daemon (requires one-time password)
+// Install the helper daemon, or upgrade an installed one in place (requires one-time password)
 ipcMain.handle('install-helper', async () => {
     try {
         await helperInstaller.installHelper();
 
-        // Wait longer for the daemon to start, with retries
+        // Wait longer for the new daemon to start, with retries
         let running = false;
+        let needsUpgrade = true;
         for (let i = 0; i < 5; i++) {
             await new Promise(resolve => setTimeout(resolve, 1000));
             try {
-                running = await helperClient.isRunning();
-                if (running) break;
+                const hello = await helperClient.hello();
+                running = true;
+                needsUpgrade = helperProtocol.needsUpgrade(hello);
+                if (!needsUpgrade) break;
             } catch (err) {
                 log.info(`Helper not ready yet, attempt ${i + 1}/5`);
             }
         }
 
-        log.info('Helper installation complete, running:', running);
-        return { success: true, running };
+        log.info('Helper installation complete, running:', running, 'needs upgrade:', needsUpgrade);
+        subscribeToHelperEvents();
+        return { success: true, running, needsUpgrade };
     } catch (err) {
         log.error('Failed to install helper:', err);
         return { success: false, error: err.message };
@@ -577,9 +694,9 @@ ipcMain.handle('install-helper', async () => {
 });
 
 // Start a block via the helper daemon (no password required!)
-ipcMain.handle('start-block-via-helper', async (event, { domains, endTime, blocklistId }) => {
+ipcMain.handle('start-block-via-helper', async (event, { blockId, domains, endTime, blocklistId, blocklistName, mode, subdomains, blockPage, override }) => {
     try {
-        const result = await helperClient.startBlock(domains, endTime, blocklistId);
+        const result = await helperClient.startBlock(blockId, domains, endTime, blocklistId, { blocklistName, mode, subdomains, blockPage, override });
         log.info('Started block via helper:', result);
         return result;
     } catch (err) {
@@ -588,10 +705,32 @@ ipcMain.handle('start-block-via-helper', async (event, { domains, endTime, block
     }
 });
 
+// Schedule a future block via the helper daemon so it starts even if the app is closed
+ipcMain.handle('schedule-block-via-helper', async (event, { blockId, domains, startTime, endTime, blocklistId, blocklistName, mode, subdomains, blockPage, override }) => {
+    try {
+        const result = await helperClient.scheduleBlock(blockId, domains, startTime, endTime, blocklistId, { blocklistName, mode, subdomains, blockPage, override });
+        log.info('Scheduled block via helper:', result);
+        return result;
+    } catch (err) {
+        log.error('Failed to schedule block via helper:', err);
+        return { success: false, error: err.message };
+    }
+});
+
+// Hand a blocklist's recurring schedules to the helper daemon, which enforces them
+ipcMain.handle('set-schedules-via-helper', async (event, { blocklistId, domains, schedules, timeZone, blocklistName, mode, subdomains, blockPage, override }) => {
+    try {
+        return await helperClient.setSchedules(blocklistId, domains, schedules, timeZone, { blocklistName, mode, subdomains, blockPage, override });
+    } catch (err) {
+        log.error('Failed to set schedules via helper:', err);
+        return { success: false, error: err.message };
+    }
+});
+
 // Clear a block via the helper daemon (no password required!)
-ipcMain.handle('clear-block-via-helper', async () => {
+ipcMain.handle('clear-block-via-helper', async (event, { blockId } = {}) => {
     try {
-        const result = await helperClient.clearBlock();
+        const result = await helperClient.clearBlock(blockId);
         log.info('Cleared block via helper:', result);
         return result;
     } catch (err) {
@@ -600,16 +739,60 @@ ipcMain.handle('clear-block-via-helper', async () => {
     }
 });
 
+// Make a running block end later via the helper daemon; it refuses to move the end earlier
+ipcMain.handle('extend-block-via-helper', async (event, { blockId, endTime }) => {
+    try {
+        const result = await helperClient.extendBlock(blockId, endTime);
+        log.info('Extended block via helper:', result);
+        return result;
+    } catch (err) {
+        log.error('Failed to extend block via helper:', err);
+        return { success: false, error: err.message };
+    }
+});
+
+// Get the challenge for ending a running block early from the helper daemon
+ipcMain.handle('request-override-via-helper', async (event, { blockId }) => {
+    try {
+        return await helperClient.requestOverride(blockId);
+    } catch (err) {
+        log.error('Failed to request override via helper:', err);
+        return { success: false, error: err.message };
+    }
+});
+
+// Answer an override challenge; the helper ends the block if it is correct
+ipcMain.handle('confirm-override-via-helper', async (event, { blockId, challengeId, response }) => {
+    try {
+        const result = await helperClient.confirmOverride(blockId, challengeId, response);
+        log.info('Override via helper:', result);
+        return result;
+    } catch (err) {
+        log.error('Failed to confirm override via helper:', err);
+        return { success: false, error: err.message };
+    }
+});
+
 // Get block status from the helper daemon
-ipcMain.handle('get-helper-block-status', async () => {
+ipcMain.handle('get-helper-block-status', async (event, blockId) => {
     try {
-        return await helperClient.getStatus();
+        return await helperClient.getStatus(blockId);
     } catch (err) {
         log.error('Failed to get helper status:', err);
         return { active: false, error: err.message };
     }
 });
 
+// Get what the helper actually did (starts, expiries, early clears, tamper repairs) in a date range
+ipcMain.handle('get-helper-history', async (event, { from, to } = {}) => {
+    try {
+        return await helperClient.getHistory({ from, to });
+    } catch (err) {
+        log.error('Failed to get helper history:', err);
+        return { success: false, error: err.message, events: [] };
+    }
+});
+
 // Fallback: Block websites by modifying hosts file (for Windows/Linux)
 async function blockWebsitesViaHosts(domains) {
     const hostsPath = process.platform === 'win32'
@@ -720,6 +903,12 @@ function startBlockingInterval() {
             }
         }
 
+        const hasRunningBlocks = data.activeBlocks.some(block => block.startTime <= now && block.endTime > now);
+        if (tray && hasRunningBlocks !== trayHasRunningBlocks) {
+            trayHasRunningBlocks = hasRunningBlocks;
+            updateTrayMenu();
+        }
+
         // Minimize blocked apps
         if (process.platform === 'darwin' || process.platform === 'win32') {
             const now = Date.now();
@@ -842,6 +1031,8 @@ app.on('ready', () => {
     createMenu();
     createTray();
     startBlockingInterval();
+    subscribeToHelperEvents();
+    registerNativeHost();
 });
 
 app.on('window-all-closed', () => {
@@ -868,4 +1059,5 @@ app.on('before-quit', () => {
     if (blockingInterval) {
         clearInterval(blockingInterval);
     }
+    helperClient.close();
 });
@@ -1,9 +1,13 @@
 const { ipcRenderer } = require('electron');
+const { getOccurrences, getSystemTimeZone } = require('../helper/schedule');
+const { normalizePolicy, isTypingPolicy, isLockedPolicy, createChallengeText } = require('../helper/override');
+const { hasUrlPath } = require('../helper/dns-policy');
 
 // State
 let appData = {
     blocklists: [],
     activeBlocks: [],
+    skippedOccurrences: [],
     settings: {
         onboardingComplete: false
     }
@@ -12,26 +16,33 @@ let appData = {
 let selectedBlocklistId = null;
 let editingBlocklistId = null;
 let overrideBlockId = null;
+let overrideChallenge = null; // { type: 'none'|'typing'|'delay', challengeId?, text?, readyAt?, viaHelper }
+let overrideDelayInterval = null;
 let challengeText = '';
 let lastBlockedDomains = new Set(); // Track what's currently blocked to avoid re-prompting
+let syncedHelperBlocks = new Map(); // blockId -> domains/endTime last sent to the helper
 let activatedBlockIds = new Set(); // Track blocks that have already triggered host updates
 let helperAvailable = false; // Track if the privileged helper daemon is running
 let pendingBlockData = null; // Store block data when waiting for helper installation
 let draggedBlocklistId = null; // Track which blocklist is being dragged
+let syncedTimeZone = null; // Time zone the helper last received schedules in
+let blockAttempts = new Map(); // blockId -> { [domain]: count } the helper counted for running blocks
 
-// Word list for random word challenges
-const wordList = [
-    'focus', 'calm', 'peace', 'work', 'goal', 'dream', 'hope', 'light',
-    'time', 'life', 'mind', 'soul', 'heart', 'love', 'free', 'flow',
-    'grow', 'rise', 'shine', 'bloom', 'trust', 'faith', 'grace', 'pure',
-    'clear', 'bright', 'fresh', 'new', 'open', 'wide', 'deep', 'true',
-    'strong', 'brave', 'bold', 'wise', 'kind', 'warm', 'soft', 'gentle'
-];
+// Day names for recurring schedules, indexed like Date.getDay()
+const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How much the quick-extend buttons add to a running block
+const QUICK_EXTEND_MINUTES = 30;
+
+// How far back the block history goes
+const HISTORY_DAYS = 7;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
     await loadData();
     await checkHelperStatus();
+    await syncSchedules();
+    await loadBlockAttempts();
     setupEventListeners();
     render();
     scrollToNow(false); // Initial scroll (instant, no animation)
@@ -46,6 +57,11 @@ async function checkHelperStatus() {
         helperAvailable = status.running;
         console.log('Helper status:', status);
 
+        // An older helper keeps working until it's replaced, but may lack newer features
+        if (status.running && status.needsUpgrade) {
+            showHelperInstallModal(true);
+        }
+
         // If not installed, we'll prompt to install when they try to start a block
         if (!status.installed) {
             console.log('Helper not installed - will prompt on first block');
@@ -56,6 +72,20 @@ async function checkHelperStatus() {
     }
 }
 
+// Get the attempts the helper has counted for running blocks, e.g. while the app was closed
+async function loadBlockAttempts() {
+    if (!helperAvailable) return;
+
+    const now = Date.now();
+    const running = appData.activeBlocks.filter(b => b.startTime <= now && b.endTime > now);
+    for (const block of running) {
+        const status = await ipcRenderer.invoke('get-helper-block-status', block.id);
+        if (status && status.attempts) {
+            blockAttempts.set(block.id, status.attempts);
+        }
+    }
+}
+
 // Load data from main process
 async function loadData() {
     appData = await ipcRenderer.invoke('load-data');
@@ -63,9 +93,13 @@ async function loadData() {
         appData = {
             blocklists: [],
             activeBlocks: [],
+            skippedOccurrences: [],
             settings: { onboardingComplete: false }
         };
     }
+    if (!appData.skippedOccurrences) {
+        appData.skippedOccurrences = [];
+    }
 }
 
 // Save data to main process
@@ -141,6 +175,9 @@ function setupEventListeners() {
     // Override modal
     setupOverrideModalListeners();
 
+    // History modal
+    setupHistoryModalListeners();
+
     // Undo toast button
     document.getElementById('undo-toast-btn')?.addEventListener('click', undoDelete);
 
@@ -165,6 +202,55 @@ function setupEventListeners() {
         await loadData();
         render();
     });
+
+    // Events pushed by the helper
+    ipcRenderer.on('block-started', () => render());
+    ipcRenderer.on('block-extended', (event, { blockId, endTime }) => handleHelperBlockExtended(blockId, endTime));
+    ipcRenderer.on('block-expired', (event, { blockId }) => handleHelperBlockEnded(blockId, false));
+    ipcRenderer.on('block-cleared', (event, { blockId }) => handleHelperBlockEnded(blockId, true));
+    ipcRenderer.on('block-attempted', (event, { blockId, attempts }) => {
+        blockAttempts.set(blockId, attempts);
+        renderBlocklists();
+    });
+    ipcRenderer.on('tamper-detected', (event, { message }) => {
+        console.warn('Helper detected tampering:', message);
+    });
+}
+
+// Drop a block the helper has ended, e.g. cleared from another window or expired while the tick lagged
+async function handleHelperBlockEnded(blockId, endedEarly) {
+    const block = appData.activeBlocks.find(b => b.id === blockId);
+    syncedHelperBlocks.delete(blockId);
+    blockAttempts.delete(blockId);
+    if (!block) return;
+
+    appData.activeBlocks = appData.activeBlocks.filter(b => b.id !== blockId);
+    activatedBlockIds.delete(blockId);
+
+    // Don't restart a schedule occurrence that was ended early
+    if (endedEarly && block.scheduleId) {
+        appData.skippedOccurrences = appData.skippedOccurrences
+            .filter(o => o.endTime > Date.now())
+            .concat({ id: block.id, endTime: block.endTime });
+    }
+
+    await saveData();
+    render();
+}
+
+// Follow a block the helper has extended, e.g. from the tray menu
+async function handleHelperBlockExtended(blockId, endTime) {
+    const block = appData.activeBlocks.find(b => b.id === blockId);
+    if (!block || endTime <= block.endTime) return;
+
+    block.endTime = endTime;
+    const blocklist = appData.blocklists.find(bl => bl.id === block.blocklistId);
+    if (blocklist) {
+        markBlockSynced(block, blocklist);
+    }
+
+    await saveData();
+    render();
 }
 
 // Onboarding listeners
@@ -253,11 +339,13 @@ function setupOnboardingListeners() {
 function setupModalListeners() {
     let modalWebsites = [];
     let modalApps = [];
+    let modalSchedules = [];
 
     const modalWebsiteInput = document.getElementById('modal-website-input');
     const modalAppInput = document.getElementById('modal-app-input');
     const modalWebsitesTags = document.getElementById('modal-websites-tags');
     const modalAppsTags = document.getElementById('modal-apps-tags');
+    const modalSchedulesList = document.getElementById('modal-schedules');
 
     // Close modal when clicking outside content
     document.getElementById('blocklist-modal').addEventListener('click', (e) => {
@@ -299,25 +387,29 @@ function setupModalListeners() {
         }
     });
 
+    // Recurring schedules
+    document.getElementById('add-schedule-btn').addEventListener('click', () => {
+        modalSchedules.push({ id: generateId(), days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' });
+        window.renderModalSchedules();
+    });
+
     // Mode toggle
     document.getElementById('mode-blocklist').addEventListener('click', () => {
         document.getElementById('mode-blocklist').classList.add('active');
         document.getElementById('mode-allowlist').classList.remove('active');
+        document.getElementById('block-subdomains-option').classList.remove('hidden');
     });
 
     document.getElementById('mode-allowlist').addEventListener('click', () => {
         document.getElementById('mode-allowlist').classList.add('active');
         document.getElementById('mode-blocklist').classList.remove('active');
+        // Allowlists always cover subdomains
+        document.getElementById('block-subdomains-option').classList.add('hidden');
     });
 
     // Override type
     document.getElementById('override-type').addEventListener('change', (e) => {
-        const customTextArea = document.getElementById('custom-override-text');
-        if (e.target.value === 'custom') {
-            customTextArea.classList.remove('hidden');
-        } else {
-            customTextArea.classList.add('hidden');
-        }
+        updateOverrideTypeFields(e.target.value);
     });
 
     // Color swatches
@@ -397,6 +489,8 @@ function setupModalListeners() {
         }
 
         const mode = document.getElementById('mode-blocklist').classList.contains('active') ? 'blocklist' : 'allowlist';
+        const blockSubdomains = mode === 'blocklist' && document.getElementById('block-subdomains').checked;
+        const showBlockPage = document.getElementById('show-block-page').checked;
         const overrideType = document.getElementById('override-type').value;
         const overrideCount = parseInt(document.getElementById('override-count').value) || 10;
         const customText = document.getElementById('custom-override-text').value;
@@ -405,15 +499,23 @@ function setupModalListeners() {
         const selectedEmoji = document.querySelector('.emoji-swatch.selected');
         const emoji = selectedEmoji ? selectedEmoji.dataset.emoji : '🚫';
 
+        if (modalSchedules.some(sch => sch.days.length === 0 || !sch.start || !sch.end || sch.start === sch.end)) {
+            alert('Each schedule needs at least one day and different start and end times');
+            return;
+        }
+
         // IMPORTANT: Create copies of the arrays, not references!
         const blocklist = {
             id: editingBlocklistId || generateId(),
             name,
             mode,
+            blockSubdomains,
+            showBlockPage,
             color,
             emoji,
             websites: [...modalWebsites],  // Copy the array
             apps: [...modalApps],          // Copy the array
+            schedules: modalSchedules.map(sch => ({ ...sch, days: [...sch.days] })),
             overrideDifficulty: {
                 type: overrideType,
                 count: overrideCount,
@@ -431,6 +533,7 @@ function setupModalListeners() {
         }
 
         saveData();
+        syncSchedules([blocklist]);
 
         // If this blocklist is active, update blocking rules immediately
         const isActive = appData.activeBlocks.some(b => b.blocklistId === blocklist.id);
@@ -460,6 +563,58 @@ function setupModalListeners() {
         }, window.lockedApps);
     };
 
+    window.renderModalSchedules = () => {
+        modalSchedulesList.innerHTML = modalSchedules.map((schedule, idx) => `
+            <div class="schedule-row" data-idx="${idx}">
+                <div class="schedule-days">
+                    ${[1, 2, 3, 4, 5, 6, 0].map(day => `
+                        <button type="button" class="schedule-day${schedule.days.includes(day) ? ' active' : ''}" data-day="${day}" title="${dayNames[day]}">${dayNames[day][0]}</button>
+                    `).join('')}
+                </div>
+                <input type="time" class="schedule-time schedule-start" value="${schedule.start}">
+                <span class="time-separator">–</span>
+                <input type="time" class="schedule-time schedule-end" value="${schedule.end}">
+                <button type="button" class="schedule-remove" title="Remove schedule">×</button>
+            </div>
+        `).join('');
+
+        modalSchedulesList.querySelectorAll('.schedule-row').forEach(row => {
+            const idx = parseInt(row.dataset.idx);
+            const schedule = modalSchedules[idx];
+
+            row.querySelectorAll('.schedule-day').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const day = parseInt(btn.dataset.day);
+                    if (schedule.days.includes(day)) {
+                        schedule.days = schedule.days.filter(d => d !== day);
+                    } else {
+                        schedule.days.push(day);
+                    }
+                    btn.classList.toggle('active');
+                });
+            });
+
+            row.querySelector('.schedule-start').addEventListener('change', (e) => {
+                schedule.start = e.target.value;
+            });
+
+            row.querySelector('.schedule-end').addEventListener('change', (e) => {
+                schedule.end = e.target.value;
+            });
+
+            row.querySelector('.schedule-remove').addEventListener('click', () => {
+                modalSchedules.splice(idx, 1);
+                window.renderModalSchedules();
+            });
+        });
+    };
+
+    window.setModalSchedules = (schedules) => {
+        modalSchedules.length = 0;
+        schedules.forEach(sch => modalSchedules.push({ ...sch, days: [...sch.days] }));
+        window.renderModalSchedules();
+    };
+
     window.setModalData = (websites, apps, lockedWebsitesList = [], lockedAppsList = []) => {
         modalWebsites.length = 0;
         modalApps.length = 0;
@@ -527,12 +682,14 @@ function setupOverrideModalListeners() {
     });
 
     document.getElementById('confirm-override-btn').addEventListener('click', async () => {
+        if (!overrideBlockId || !overrideChallenge) return;
+
         const typed = challengeInput.value;
         const target = challengeText;
 
-        // Find first mismatch
-        let firstErrorIndex = -1;
-        if (typed !== target) {
+        if (overrideChallenge.type === 'typing' && typed !== target) {
+            // Find first mismatch
+            let firstErrorIndex = -1;
             for (let i = 0; i < Math.max(typed.length, target.length); i++) {
                 if (typed[i] !== target[i]) {
                     firstErrorIndex = i;
@@ -543,27 +700,7 @@ function setupOverrideModalListeners() {
             if (firstErrorIndex === -1 && typed.length < target.length) {
                 firstErrorIndex = typed.length;
             }
-        }
-
-        if (typed === target && overrideBlockId) {
-            // Correct! Remove the block
-            appData.activeBlocks = appData.activeBlocks.filter(b => b.id !== overrideBlockId);
-            await saveData();
-
-            // Always try the helper first (it should be running after initial block was started)
-            // Re-check helper status in case it was installed this session
-            const status = await ipcRenderer.invoke('check-helper-status');
-            if (status.running) {
-                helperAvailable = true;
-                await ipcRenderer.invoke('clear-block-via-helper');
-            } else {
-                // Fallback to direct update only if helper truly not running
-                await updateHostsFile();
-            }
 
-            render();
-            closeOverrideModal();
-        } else {
             // Wrong! Wiggle and highlight error
             const modalContent = document.querySelector('#override-modal .modal-content');
             modalContent.classList.remove('wiggle');
@@ -572,7 +709,45 @@ function setupOverrideModalListeners() {
 
             // Highlight first wrong character
             renderChallengeText(firstErrorIndex);
+            return;
+        }
+
+        const blockId = overrideBlockId;
+        const viaHelper = overrideChallenge.viaHelper;
+
+        // The helper checks the answer itself and only then removes the block
+        if (viaHelper) {
+            const result = await ipcRenderer.invoke('confirm-override-via-helper', {
+                blockId,
+                challengeId: overrideChallenge.challengeId,
+                response: typed
+            });
+            if (!result || !result.success) {
+                alert('Could not cancel block: ' + (result?.error || 'Unknown error'));
+                closeOverrideModal();
+                return;
+            }
+            syncedHelperBlocks.delete(blockId);
         }
+
+        // Correct! Remove the block
+        const block = appData.activeBlocks.find(b => b.id === blockId);
+        appData.activeBlocks = appData.activeBlocks.filter(b => b.id !== blockId);
+
+        // Don't restart a schedule occurrence that was overridden
+        if (block && block.scheduleId) {
+            appData.skippedOccurrences = appData.skippedOccurrences
+                .filter(o => o.endTime > Date.now())
+                .concat({ id: block.id, endTime: block.endTime });
+        }
+        await saveData();
+
+        if (!viaHelper) {
+            await updateHostsFile();
+        }
+
+        render();
+        closeOverrideModal();
     });
 
     // Click outside to close
@@ -584,6 +759,19 @@ function setupOverrideModalListeners() {
     });
 }
 
+// History modal listeners
+function setupHistoryModalListeners() {
+    document.getElementById('history-btn').addEventListener('click', openHistoryModal);
+    document.getElementById('close-history-btn').addEventListener('click', closeHistoryModal);
+
+    const historyModal = document.getElementById('history-modal');
+    historyModal.addEventListener('click', (e) => {
+        if (e.target === historyModal) {
+            closeHistoryModal();
+        }
+    });
+}
+
 // Render tags
 function renderTags(container, items, onRemove, lockedItems = []) {
     container.innerHTML = items.map((item, idx) => {
@@ -995,11 +1183,7 @@ async function startBlock() {
 
     // Try to use the helper daemon (no password required!)
     if (helperAvailable) {
-        result = await ipcRenderer.invoke('start-block-via-helper', {
-            domains: blocklist.websites || [],
-            endTime: blockEnd.getTime(),
-            blocklistId: selectedBlocklistId
-        });
+        result = await sendBlockToHelper(block, blocklist);
     } else {
         // Helper not available - check if it's installed but just not detected
         const status = await ipcRenderer.invoke('check-helper-status');
@@ -1007,19 +1191,14 @@ async function startBlock() {
         if (status.running) {
             // It's running, use it
             helperAvailable = true;
-            result = await ipcRenderer.invoke('start-block-via-helper', {
-                domains: blocklist.websites || [],
-                endTime: blockEnd.getTime(),
-                blocklistId: selectedBlocklistId
-            });
+            result = await sendBlockToHelper(block, blocklist);
         } else {
             // Helper not running - show the install modal
             pendingBlockData = {
                 block,
-                blocklist,
-                blockEnd
+                blocklist
             };
-            document.getElementById('helper-install-modal').classList.remove('hidden');
+            showHelperInstallModal(false);
 
             // Re-enable button and return - modal will handle the rest
             startBtn.disabled = false;
@@ -1075,6 +1254,14 @@ function getStartBlockButtonHTML() {
     `;
 }
 
+// Show the helper install modal, worded for a first install or an upgrade
+function showHelperInstallModal(upgrade) {
+    document.getElementById('helper-install-title').textContent = upgrade ? 'Update Required' : 'Setup Required';
+    document.getElementById('helper-install-message').classList.toggle('hidden', upgrade);
+    document.getElementById('helper-upgrade-message').classList.toggle('hidden', !upgrade);
+    document.getElementById('helper-install-modal').classList.remove('hidden');
+}
+
 // Handle the Proceed button in the helper install modal
 async function proceedWithHelperInstall() {
     const modal = document.getElementById('helper-install-modal');
@@ -1090,16 +1277,13 @@ async function proceedWithHelperInstall() {
     if (installResult.success) {
         helperAvailable = true;
         modal.classList.add('hidden');
+        await syncSchedules();
 
         // Now start the pending block
         if (pendingBlockData) {
-            const { block, blocklist, blockEnd } = pendingBlockData;
+            const { block, blocklist } = pendingBlockData;
 
-            const result = await ipcRenderer.invoke('start-block-via-helper', {
-                domains: blocklist.websites || [],
-                endTime: blockEnd.getTime(),
-                blocklistId: blocklist.id
-            });
+            const result = await sendBlockToHelper(block, blocklist);
 
             if (result.success) {
                 // Add block to local data
@@ -1132,38 +1316,187 @@ async function proceedWithHelperInstall() {
     proceedBtn.textContent = 'Proceed';
 }
 
-// Update hosts file based on active blocks
-// silent = true means don't prompt for password (used for cleanup)
-async function updateHostsFile(silent = false) {
-    const allDomains = new Set();
-    const now = Date.now();
+// Hand recurring schedules to the helper, which starts them even if the app is closed.
+// Schedule times are wall-clock times in the user's current time zone.
+async function syncSchedules(blocklists = appData.blocklists) {
+    if (!helperAvailable) return;
 
-    // Only block domains for blocks that are currently active (startTime <= now && endTime > now)
-    appData.activeBlocks
-        .filter(block => block.startTime <= now && block.endTime > now)
-        .forEach(block => {
-            const blocklist = appData.blocklists.find(bl => bl.id === block.blocklistId);
-            if (blocklist && blocklist.websites) {
-                blocklist.websites.forEach(domain => allDomains.add(domain));
-            }
+    syncedTimeZone = getSystemTimeZone();
+
+    for (const blocklist of blocklists) {
+        const result = await ipcRenderer.invoke('set-schedules-via-helper', {
+            blocklistId: blocklist.id,
+            domains: blocklist.websites || [],
+            schedules: blocklist.schedules || [],
+            timeZone: syncedTimeZone,
+            blocklistName: blocklist.name,
+            mode: blocklist.mode,
+            subdomains: !!blocklist.blockSubdomains,
+            blockPage: !!blocklist.showBlockPage,
+            override: blocklist.overrideDifficulty
         });
+        if (!result || !result.success) {
+            console.warn('Could not sync schedules for', blocklist.name, result);
+        }
+    }
+}
 
-    // Check if domains actually changed
-    const domainsArray = Array.from(allDomains).sort();
-    const lastDomainsArray = Array.from(lastBlockedDomains).sort();
-    const domainsChanged = JSON.stringify(domainsArray) !== JSON.stringify(lastDomainsArray);
+// Occurrences of every blocklist's recurring schedules that overlap [from, to)
+function getScheduledOccurrences(from, to) {
+    const timeZone = getSystemTimeZone();
+    const skipped = new Set(appData.skippedOccurrences.map(o => o.id));
+    const occurrences = [];
+
+    appData.blocklists.forEach(blocklist => {
+        (blocklist.schedules || []).forEach(schedule => {
+            getOccurrences(schedule, from, to, timeZone)
+                .filter(occurrence => !skipped.has(occurrence.id))
+                .forEach(occurrence => occurrences.push({ ...occurrence, blocklistId: blocklist.id }));
+        });
+    });
 
-    if (!domainsChanged) {
-        return { success: true, unchanged: true };
+    return occurrences;
+}
+
+// Key describing what the helper was last told about a block
+function getHelperSyncKey(block, blocklist) {
+    const domains = [...(blocklist.websites || [])].sort();
+    return JSON.stringify([
+        domains,
+        blocklist.name,
+        blocklist.mode,
+        !!blocklist.blockSubdomains,
+        !!blocklist.showBlockPage,
+        normalizePolicy(blocklist.overrideDifficulty),
+        block.startTime,
+        block.endTime
+    ]);
+}
+
+// Remember that the helper already has the current rules for this block
+function markBlockSynced(block, blocklist) {
+    syncedHelperBlocks.set(block.id, getHelperSyncKey(block, blocklist));
+}
+
+// Hand a new block to the helper. Upcoming blocks are scheduled for their start time;
+// the rest start now, so the block's start time moves to when the helper started it.
+async function sendBlockToHelper(block, blocklist) {
+    const startsNow = block.startTime <= Date.now();
+    const startTime = Date.now();
+
+    const result = await ipcRenderer.invoke(startsNow ? 'start-block-via-helper' : 'schedule-block-via-helper', {
+        blockId: block.id,
+        domains: blocklist.websites || [],
+        startTime: startsNow ? undefined : block.startTime,
+        endTime: block.endTime,
+        blocklistId: blocklist.id,
+        blocklistName: blocklist.name,
+        mode: blocklist.mode,
+        subdomains: !!blocklist.blockSubdomains,
+        blockPage: !!blocklist.showBlockPage,
+        override: blocklist.overrideDifficulty
+    });
+
+    if (result.success) {
+        if (startsNow) {
+            block.startTime = startTime;
+        }
+        markBlockSynced(block, blocklist);
+    }
+    return result;
+}
+
+// Push each running or upcoming block to the helper and clear the ones that are gone.
+// Upcoming blocks are scheduled so the helper starts them even if the app is closed.
+async function syncHelperBlocks(pendingBlocks) {
+    let result = { success: true, unchanged: true };
+
+    for (const block of pendingBlocks) {
+        const blocklist = appData.blocklists.find(bl => bl.id === block.blocklistId);
+        if (!blocklist) continue;
+
+        if (syncedHelperBlocks.get(block.id) === getHelperSyncKey(block, blocklist)) {
+            continue;
+        }
+
+        result = await ipcRenderer.invoke('schedule-block-via-helper', {
+            blockId: block.id,
+            domains: blocklist.websites || [],
+            startTime: block.startTime,
+            endTime: block.endTime,
+            blocklistId: block.blocklistId,
+            blocklistName: blocklist.name,
+            mode: blocklist.mode,
+            subdomains: !!blocklist.blockSubdomains,
+            blockPage: !!blocklist.showBlockPage,
+            override: blocklist.overrideDifficulty
+        });
+        if (result && result.overrideRequired) {
+            // The helper keeps its stricter version of a running block until it ends;
+            // asking again on every tick would only be refused again
+            console.warn('Helper kept the running block', block.id, 'as it was:', result.error);
+            markBlockSynced(block, blocklist);
+        } else if (result && result.success) {
+            markBlockSynced(block, blocklist);
+        } else {
+            return result || { success: false };
+        }
     }
 
-    // For silent updates (cleanup), skip if it would require password
-    if (silent && allDomains.size < lastBlockedDomains.size) {
-        // Domains are being removed - this still needs sudo unfortunately
-        // For now, we'll defer cleanup until the app is explicitly used
-        return { success: true, deferred: true };
+    for (const blockId of [...syncedHelperBlocks.keys()]) {
+        if (pendingBlocks.some(b => b.id === blockId)) continue;
+
+        result = await ipcRenderer.invoke('clear-block-via-helper', { blockId });
+        if (result && (result.overrideRequired || result.locked)) {
+            await restoreHelperBlock(blockId);
+        } else if (result && result.success) {
+            syncedHelperBlocks.delete(blockId);
+        } else {
+            return result || { success: false };
+        }
     }
 
+    return result;
+}
+
+// The helper only ends a running block early through its override challenge, and never
+// a locked one. Put a block it refused to clear back into the app, so it shows as running
+// (and can be overridden unless locked) instead of being asked to clear it on every tick.
+async function restoreHelperBlock(blockId) {
+    const status = await ipcRenderer.invoke('get-helper-block-status', blockId);
+    syncedHelperBlocks.delete(blockId);
+
+    if (!status || !status.active || appData.activeBlocks.some(b => b.id === blockId)) {
+        return;
+    }
+
+    const block = {
+        id: blockId,
+        blocklistId: status.blocklistId,
+        startTime: status.startTime,
+        endTime: status.endTime
+    };
+    appData.activeBlocks.push(block);
+    activatedBlockIds.add(blockId);
+
+    const blocklist = appData.blocklists.find(bl => bl.id === block.blocklistId);
+    if (blocklist) {
+        markBlockSynced(block, blocklist);
+    }
+    await saveData();
+    render();
+}
+
+// Update hosts file based on active blocks
+// silent = true means don't prompt for password (used for cleanup)
+async function updateHostsFile(silent = false) {
+    const now = Date.now();
+
+    // The helper schedules upcoming blocks itself; the fallback only blocks
+    // domains for blocks that are currently active (startTime <= now && endTime > now)
+    const pendingBlocks = appData.activeBlocks.filter(block => block.endTime > now);
+    const runningBlocks = pendingBlocks.filter(block => block.startTime <= now);
+
     // Try to use helper daemon first (works on all platforms)
     try {
         console.log('[updateHostsFile] Checking helper status...');
@@ -1173,30 +1506,7 @@ async function updateHostsFile(silent = false) {
         if (status.running) {
             console.log('[updateHostsFile] Helper running, using helper to update blocks');
             helperAvailable = true;
-
-            if (domainsArray.length === 0) {
-                // Clear all blocks via helper
-                const result = await ipcRenderer.invoke('clear-block-via-helper');
-                if (result && result.success) {
-                    lastBlockedDomains = allDomains;
-                }
-                return result || { success: true };
-            } else {
-                // Find the latest end time among active blocks
-                const latestEndTime = Math.max(...appData.activeBlocks
-                    .filter(b => b.startTime <= now && b.endTime > now)
-                    .map(b => b.endTime));
-
-                const result = await ipcRenderer.invoke('start-block-via-helper', {
-                    domains: domainsArray,
-                    endTime: latestEndTime,
-                    blocklistId: 'combined' // Multiple blocklists combined
-                });
-                if (result && result.success) {
-                    lastBlockedDomains = allDomains;
-                }
-                return result || { success: true };
-            }
+            return await syncHelperBlocks(pendingBlocks);
         } else {
             console.log('[updateHostsFile] Helper NOT running, falling back');
         }
@@ -1204,6 +1514,34 @@ async function updateHostsFile(silent = false) {
         console.warn('Helper not available, falling back to direct method:', e);
     }
 
+    // Without the helper there is no DNS proxy or browser policies, so allowlists
+    // and entries with a path can't be enforced here
+    const allDomains = new Set();
+    runningBlocks.forEach(block => {
+        const blocklist = appData.blocklists.find(bl => bl.id === block.blocklistId);
+        if (blocklist && blocklist.mode !== 'allowlist' && blocklist.websites) {
+            blocklist.websites
+                .filter(domain => !hasUrlPath(domain))
+                .forEach(domain => allDomains.add(domain));
+        }
+    });
+
+    // Check if domains actually changed
+    const domainsArray = Array.from(allDomains).sort();
+    const lastDomainsArray = Array.from(lastBlockedDomains).sort();
+    const domainsChanged = JSON.stringify(domainsArray) !== JSON.stringify(lastDomainsArray);
+
+    if (!domainsChanged) {
+        return { success: true, unchanged: true };
+    }
+
+    // For silent updates (cleanup), skip if it would require password
+    if (silent && allDomains.size < lastBlockedDomains.size) {
+        // Domains are being removed - this still needs sudo unfortunately
+        // For now, we'll defer cleanup until the app is explicitly used
+        return { success: true, deferred: true };
+    }
+
     // Fallback to direct hosts file modification (macOS)
     console.log('[updateHostsFile] Calling fallback block-websites');
     const result = await ipcRenderer.invoke('block-websites', domainsArray);
@@ -1226,20 +1564,19 @@ function openBlocklistModal(blocklist = null) {
     if (blocklist?.mode === 'allowlist') {
         document.getElementById('mode-allowlist').classList.add('active');
         document.getElementById('mode-blocklist').classList.remove('active');
+        document.getElementById('block-subdomains-option').classList.add('hidden');
     } else {
         document.getElementById('mode-blocklist').classList.add('active');
         document.getElementById('mode-allowlist').classList.remove('active');
+        document.getElementById('block-subdomains-option').classList.remove('hidden');
     }
+    document.getElementById('block-subdomains').checked = !!blocklist?.blockSubdomains;
+    document.getElementById('show-block-page').checked = !!blocklist?.showBlockPage;
 
     document.getElementById('override-type').value = blocklist?.overrideDifficulty?.type || 'random-words';
     document.getElementById('override-count').value = blocklist?.overrideDifficulty?.count || 10;
     document.getElementById('custom-override-text').value = blocklist?.overrideDifficulty?.customText || '';
-
-    if (blocklist?.overrideDifficulty?.type === 'custom') {
-        document.getElementById('custom-override-text').classList.remove('hidden');
-    } else {
-        document.getElementById('custom-override-text').classList.add('hidden');
-    }
+    updateOverrideTypeFields(document.getElementById('override-type').value);
 
     // Restore color swatch selection
     document.querySelectorAll('.color-swatch').forEach(s => s.classList.remove('selected'));
@@ -1287,15 +1624,20 @@ function openBlocklistModal(blocklist = null) {
         warningEl.classList.remove('hidden');
         modeInputs.forEach(el => el.classList.add('disabled'));
         overrideInputs.forEach(el => el.disabled = true);
+        // Subdomain blocking can be turned on but not off while the block runs
+        document.getElementById('block-subdomains').disabled = !!blocklist.blockSubdomains;
         // Pass existing items as locked
         window.setModalData(blocklist.websites || [], blocklist.apps || [], blocklist.websites || [], blocklist.apps || []);
     } else {
         warningEl.classList.add('hidden');
         modeInputs.forEach(el => el.classList.remove('disabled'));
         overrideInputs.forEach(el => el.disabled = false);
+        document.getElementById('block-subdomains').disabled = false;
         window.setModalData(blocklist?.websites || [], blocklist?.apps || [], [], []);
     }
 
+    window.setModalSchedules(blocklist?.schedules || []);
+
     document.getElementById('blocklist-modal').classList.remove('hidden');
 }
 
@@ -1305,17 +1647,46 @@ function closeBlocklistModal() {
     editingBlocklistId = null;
     document.getElementById('blocklist-name').value = '';
     window.setModalData([], []);
+    window.setModalSchedules([]);
 }
 
-// Open override modal
-function openOverrideModal(blockId) {
-    overrideBlockId = blockId;
+// Make a running block end later. Unlike an override this never weakens the
+// block, so it needs no challenge.
+async function extendBlock(blockId, minutes = QUICK_EXTEND_MINUTES) {
+    const block = appData.activeBlocks.find(b => b.id === blockId);
+    const now = Date.now();
+    if (!block || block.startTime > now || block.endTime <= now) return;
+
+    const endTime = block.endTime + minutes * 60 * 1000;
 
+    if (helperAvailable) {
+        const result = await ipcRenderer.invoke('extend-block-via-helper', { blockId, endTime });
+        if (!result || !result.success) {
+            alert('Could not extend block: ' + (result?.error || 'Unknown error'));
+            return;
+        }
+    }
+
+    block.endTime = endTime;
+    const blocklist = appData.blocklists.find(bl => bl.id === block.blocklistId);
+    if (helperAvailable && blocklist) {
+        markBlockSynced(block, blocklist);
+    }
+
+    await saveData();
+    render();
+}
+
+// Open override modal
+async function openOverrideModal(blockId) {
     const block = appData.activeBlocks.find(b => b.id === blockId);
     const blocklist = appData.blocklists.find(bl => bl.id === block?.blocklistId);
 
     if (!blocklist) return;
 
+    // Locked blocks can't be ended early, with or without the helper
+    if (isLockedPolicy(normalizePolicy(blocklist.overrideDifficulty))) return;
+
     // Set modal title with blocklist name
     document.getElementById('override-modal-title').textContent = `Override ${blocklist.name}?`;
 
@@ -1346,23 +1717,52 @@ function openOverrideModal(blockId) {
     const itemsText = metaParts.length > 0 ? metaParts.join(' and ') : 'nothing';
     document.getElementById('override-summary').textContent = `${mode} ${itemsText}`;
 
-    const difficulty = blocklist.overrideDifficulty || { type: 'random-words', count: 10 };
-
-    // Generate challenge text
-    if (difficulty.type === 'custom' && difficulty.customText) {
-        challengeText = difficulty.customText;
-    } else if (difficulty.type === 'gibberish') {
-        challengeText = generateGibberish(difficulty.count);
+    // The helper issues the challenge so it can't be skipped; without it the
+    // challenge is generated here
+    let challenge;
+    if (helperAvailable) {
+        const result = await ipcRenderer.invoke('request-override-via-helper', { blockId });
+        if (!result || !result.success) {
+            alert('Could not start override: ' + (result?.error || 'Unknown error'));
+            return;
+        }
+        challenge = { ...result, viaHelper: true };
     } else {
-        challengeText = generateRandomWords(difficulty.count);
+        const policy = normalizePolicy(blocklist.overrideDifficulty);
+        challenge = { type: isTypingPolicy(policy) ? 'typing' : policy.type, viaHelper: false };
+        if (policy.type === 'delay') {
+            challenge.readyAt = Date.now() + policy.count * 60 * 1000;
+        } else if (isTypingPolicy(policy)) {
+            challenge.text = createChallengeText(policy);
+        }
     }
 
-    // Sanitize: remove linebreaks and collapse multiple spaces
-    challengeText = challengeText.replace(/[\r\n]+/g, ' ').replace(/\s{2,}/g, ' ').trim();
+    overrideBlockId = blockId;
+    overrideChallenge = challenge;
+    challengeText = challenge.text || '';
+
+    const isTyping = challenge.type === 'typing';
+    ['challenge-text', 'challenge-input', 'challenge-progress'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', !isTyping);
+    });
 
     document.getElementById('challenge-text').textContent = challengeText;
     document.getElementById('challenge-input').value = '';
     document.getElementById('challenge-progress-bar').style.width = '0%';
+    document.getElementById('confirm-override-btn').disabled = false;
+
+    const instructions = document.getElementById('override-instructions');
+    clearInterval(overrideDelayInterval);
+    overrideDelayInterval = null;
+
+    if (challenge.type === 'delay') {
+        updateOverrideDelay();
+        overrideDelayInterval = setInterval(updateOverrideDelay, 1000);
+    } else if (isTyping) {
+        instructions.textContent = 'To cancel this block early, type the following:';
+    } else {
+        instructions.textContent = 'This block can be cancelled at any time.';
+    }
 
     // Reset wiggle state
     document.querySelector('#override-modal .modal-content').classList.remove('wiggle');
@@ -1370,30 +1770,50 @@ function openOverrideModal(blockId) {
     document.getElementById('override-modal').classList.remove('hidden');
 }
 
+// Count down until a delayed override may be confirmed
+function updateOverrideDelay() {
+    if (!overrideChallenge) return;
+
+    const remaining = overrideChallenge.readyAt - Date.now();
+    const instructions = document.getElementById('override-instructions');
+    const confirmBtn = document.getElementById('confirm-override-btn');
+
+    if (remaining > 0) {
+        const totalSeconds = Math.ceil(remaining / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        instructions.textContent = `You can cancel this block in ${minutes}:${seconds}. Come back later if you still want to.`;
+        confirmBtn.disabled = true;
+    } else {
+        instructions.textContent = 'The wait is over. You can cancel this block now.';
+        confirmBtn.disabled = false;
+        clearInterval(overrideDelayInterval);
+        overrideDelayInterval = null;
+    }
+}
+
 // Close override modal
 function closeOverrideModal() {
     document.getElementById('override-modal').classList.add('hidden');
+    clearInterval(overrideDelayInterval);
+    overrideDelayInterval = null;
     overrideBlockId = null;
+    overrideChallenge = null;
     challengeText = '';
 }
 
-// Generate random words
-function generateRandomWords(count) {
-    const words = [];
-    for (let i = 0; i < count; i++) {
-        words.push(wordList[Math.floor(Math.random() * wordList.length)]);
-    }
-    return words.join(' ');
-}
-
-// Generate gibberish
-function generateGibberish(count) {
-    const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-    let result = '';
-    for (let i = 0; i < count; i++) {
-        result += chars[Math.floor(Math.random() * chars.length)];
-    }
-    return result;
+// Show the override fields that apply to the selected override type
+function updateOverrideTypeFields(type) {
+    const countInput = document.getElementById('override-count');
+    const hint = document.getElementById('override-count-hint');
+
+    document.getElementById('custom-override-text').classList.toggle('hidden', type !== 'custom');
+    document.getElementById('locked-override-warning').classList.toggle('hidden', type !== 'locked');
+    countInput.classList.toggle('hidden', type === 'none' || type === 'custom' || type === 'locked');
+    hint.classList.toggle('hidden', type === 'none' || type === 'custom' || type === 'locked');
+    hint.textContent = type === 'delay'
+        ? 'Minutes to wait before the block can be cancelled'
+        : 'Number of words/characters to type to override';
 }
 
 // Delete blocklist with undo support
@@ -1410,7 +1830,10 @@ async function deleteBlocklist(id) {
     );
 
     if (hasActiveBlock) {
-        alert(`Cannot delete "${blocklist.name}" while a block is running. Override the block first.`);
+        const advice = isLockedPolicy(normalizePolicy(blocklist.overrideDifficulty))
+            ? 'Wait for the block to end first.'
+            : 'Override the block first.';
+        alert(`Cannot delete "${blocklist.name}" while a block is running. ${advice}`);
         return;
     }
 
@@ -1460,6 +1883,11 @@ function commitDelete() {
         updateHostsFile();
     }
 
+    // Stop the helper from starting this blocklist's schedules
+    if (pendingDelete.blocklist.schedules?.length > 0) {
+        syncSchedules([{ ...pendingDelete.blocklist, schedules: [] }]);
+    }
+
     // Hide toast
     document.getElementById('undo-toast').classList.add('hidden');
     pendingDelete = null;
@@ -1607,10 +2035,15 @@ function renderActiveBlocks() {
     // Active (still running) blocks for stacking calculations
     const runningBlocks = visibleBlocks.filter(block => block.endTime > nowMs);
 
+    // Upcoming occurrences of recurring schedules, shown ahead of time
+    const upcomingBlocks = getScheduledOccurrences(startMs, endMs).filter(occurrence =>
+        occurrence.startTime > nowMs && !appData.activeBlocks.some(b => b.id === occurrence.id)
+    );
+
     // Clear existing blocks (except preview and now-indicator)
     track.querySelectorAll('.timeline-block:not(.preview)').forEach(el => el.remove());
 
-    if (visibleBlocks.length === 0 && document.getElementById('preview-timeline-block').classList.contains('hidden')) {
+    if (visibleBlocks.length === 0 && upcomingBlocks.length === 0 && document.getElementById('preview-timeline-block').classList.contains('hidden')) {
         noBlocksMsg.classList.remove('hidden');
         // Position message to the right of "now" indicator
         const nowOffset = nowMs - startMs;
@@ -1678,17 +2111,111 @@ function renderActiveBlocks() {
                 <span class="block-time-sep">–</span>
                 <span class="block-time">${formatTime(blockEndTime)}</span>
             </div>
+            ${isExpired ? '' : `<button class="block-extend-btn" title="Extend by ${QUICK_EXTEND_MINUTES} minutes">+${QUICK_EXTEND_MINUTES}m</button>`}
         `;
 
-        // Add click handler for override (only for running blocks)
+        // Add click handlers for override and quick extend (only for running
+        // blocks); locked blocks can only be extended
         if (!isExpired) {
-            blockEl.addEventListener('click', () => {
-                openOverrideModal(block.id);
+            if (isLockedPolicy(normalizePolicy(blocklist.overrideDifficulty))) {
+                blockEl.classList.add('locked');
+                blockEl.title = `${blocklist.name} is locked until ${formatTime(blockEndTime)}`;
+            } else {
+                blockEl.addEventListener('click', () => {
+                    openOverrideModal(block.id);
+                });
+            }
+            blockEl.querySelector('.block-extend-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                extendBlock(block.id);
             });
         }
 
         track.appendChild(blockEl);
     });
+
+    // Render upcoming schedule occurrences (not clickable until they start)
+    upcomingBlocks.forEach((occurrence) => {
+        const blocklist = appData.blocklists.find(bl => bl.id === occurrence.blocklistId);
+        if (!blocklist) return;
+
+        const leftPercent = ((occurrence.startTime - startMs) / timelineSpan) * 100;
+        if (leftPercent >= 100) return;
+
+        const duration = occurrence.endTime - occurrence.startTime;
+        const widthPercent = Math.min(100 - leftPercent, (duration / timelineSpan) * 100);
+
+        const blockEl = document.createElement('div');
+        blockEl.className = 'timeline-block scheduled';
+        blockEl.dataset.blockId = occurrence.id;
+        blockEl.style.left = `${leftPercent}%`;
+        blockEl.style.width = `${widthPercent}%`;
+        blockEl.style.top = '4px';
+        blockEl.style.zIndex = 0;
+        blockEl.title = `${blocklist.name} (scheduled)`;
+
+        if (blocklist.color) {
+            blockEl.style.background = blocklist.color;
+        }
+
+        blockEl.innerHTML = `
+            <div class="block-content">
+                <span class="block-emoji">${blocklist.emoji || '🚫'}</span>
+                <span class="block-label">${escapeHtml(blocklist.name)}</span>
+                <span class="block-time">${formatTime(new Date(occurrence.startTime))}</span>
+                <span class="block-time-sep">–</span>
+                <span class="block-time">${formatTime(new Date(occurrence.endTime))}</span>
+            </div>
+        `;
+
+        track.appendChild(blockEl);
+    });
+}
+
+// Blocks that ended within HISTORY_DAYS, with the attempts the helper counted during each
+async function openHistoryModal() {
+    const list = document.getElementById('history-list');
+    list.innerHTML = '<p class="history-empty">Loading...</p>';
+    document.getElementById('history-modal').classList.remove('hidden');
+
+    if (!helperAvailable) {
+        list.innerHTML = '<p class="history-empty">Block history is kept by the background service, which isn\'t running</p>';
+        return;
+    }
+
+    const history = await ipcRenderer.invoke('get-helper-history', {
+        from: Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000
+    });
+
+    // Newest first; blocks cleared before they started never ran
+    const ended = (history.events || [])
+        .filter(entry => entry.type === 'block-expired' || (entry.type === 'block-cleared' && entry.running))
+        .reverse();
+
+    if (ended.length === 0) {
+        list.innerHTML = `<p class="history-empty">No blocks ended in the last ${HISTORY_DAYS} days</p>`;
+        return;
+    }
+
+    list.innerHTML = ended.map(entry => {
+        const blocklist = appData.blocklists.find(bl => bl.id === entry.blocklistId);
+        const name = blocklist ? blocklist.name : (entry.blocklistName || 'Deleted blocklist');
+        const endedEarly = entry.type === 'block-cleared';
+        const endTime = new Date(endedEarly ? entry.timestamp : entry.endTime);
+        const day = new Date(entry.startTime).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+
+        return `
+      <div class="history-entry">
+        <div class="history-entry-name"><span class="blocklist-emoji">${blocklist?.emoji || '🚫'}</span>${escapeHtml(name)}</div>
+        <div class="history-entry-time">${day}, ${formatTime(new Date(entry.startTime))}–${formatTime(endTime)}${endedEarly ? ' · ended early' : ''}</div>
+        ${entry.attempts ? `<div class="history-entry-attempts">${escapeHtml(formatAttempts(entry.attempts, Infinity))}</div>` : ''}
+      </div>
+    `;
+    }).join('');
+}
+
+function closeHistoryModal() {
+    document.getElementById('history-modal').classList.add('hidden');
 }
 
 // Render blocklist selector dropdown
@@ -1759,6 +2286,7 @@ function renderBlocklists() {
 
         const itemsText = metaParts.length > 0 ? metaParts.join(' and ') : 'No items';
         const metaText = `${mode} · ${itemsText}`;
+        const scheduleText = (bl.schedules || []).map(formatSchedule).join(' · ');
 
         // Get color for left border
         const borderColor = bl.color || 'linear-gradient(135deg, #4a00e0 0%, #8e2de2 100%)';
@@ -1766,6 +2294,12 @@ function renderBlocklists() {
         // Check if this blocklist has an active block
         const now = Date.now();
         const isActive = appData.activeBlocks.some(b => b.blocklistId === bl.id && b.startTime <= now && b.endTime > now);
+        const isLocked = isActive && isLockedPolicy(normalizePolicy(bl.overrideDifficulty));
+        const activeBlock = isActive
+            ? appData.activeBlocks.find(b => b.blocklistId === bl.id && b.startTime <= now && b.endTime > now)
+            : null;
+        const attempts = activeBlock ? blockAttempts.get(activeBlock.id) : null;
+        const attemptsText = attempts && Object.keys(attempts).length > 0 ? formatAttempts(attempts) : '';
         const activeClass = isActive ? ' blocklist-card-active' : '';
         const activeBadge = isActive ? '<span class="active-badge">Active</span>' : '';
 
@@ -1774,10 +2308,13 @@ function renderBlocklists() {
         <div class="blocklist-info">
           <div class="blocklist-name"><span class="blocklist-emoji">${bl.emoji || '🚫'}</span>${escapeHtml(bl.name)}${activeBadge}</div>
           <div class="blocklist-meta">${escapeHtml(metaText)}</div>
+          ${scheduleText ? `<div class="blocklist-schedule">Repeats ${escapeHtml(scheduleText)}</div>` : ''}
+          ${attemptsText ? `<div class="blocklist-attempts">${escapeHtml(attemptsText)}</div>` : ''}
         </div>
         <div class="blocklist-actions">
           ${isActive ? `
-          <button class="blocklist-action-btn override-btn" title="Override Block">
+          <button class="blocklist-action-btn extend-btn" title="Extend by ${QUICK_EXTEND_MINUTES} minutes">+${QUICK_EXTEND_MINUTES}m</button>
+          <button class="blocklist-action-btn override-btn" title="${isLocked ? 'Locked: this block cannot be overridden' : 'Override Block'}"${isLocked ? ' disabled' : ''}>
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
               <circle cx="12" cy="12" r="10"></circle>
               <line x1="10" y1="15" x2="10" y2="9"></line>
@@ -1821,9 +2358,23 @@ function renderBlocklists() {
             openBlocklistModal(blocklist);
         });
 
-        // Override button (only exists when block is active)
+        // Extend and override buttons (only exist when block is active)
+        const extendBtn = card.querySelector('.extend-btn');
+        if (extendBtn) {
+            extendBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const now = Date.now();
+                const activeBlock = appData.activeBlocks.find(
+                    b => b.blocklistId === id && b.startTime <= now && b.endTime > now
+                );
+                if (activeBlock) {
+                    extendBlock(activeBlock.id);
+                }
+            });
+        }
+
         const overrideBtn = card.querySelector('.override-btn');
-        if (overrideBtn) {
+        if (overrideBtn && !overrideBtn.disabled) {
             overrideBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
                 // Find the active block for this blocklist
@@ -1966,6 +2517,29 @@ function startTickInterval() {
     setInterval(async () => {
         const now = Date.now();
 
+        // Resend schedules if the user has moved to another time zone
+        if (helperAvailable && syncedTimeZone && getSystemTimeZone() !== syncedTimeZone) {
+            syncSchedules();
+        }
+
+        // Add occurrences of recurring schedules that have reached their start time
+        const dueOccurrences = getScheduledOccurrences(now, now + 1).filter(occurrence =>
+            occurrence.startTime <= now && !appData.activeBlocks.some(b => b.id === occurrence.id)
+        );
+
+        if (dueOccurrences.length > 0) {
+            dueOccurrences.forEach(occurrence => {
+                appData.activeBlocks.push({
+                    id: occurrence.id,
+                    blocklistId: occurrence.blocklistId,
+                    scheduleId: occurrence.scheduleId,
+                    startTime: occurrence.startTime,
+                    endTime: occurrence.endTime
+                });
+            });
+            saveData();
+        }
+
         // Check for future blocks that have now become active
         const newlyActiveBlocks = appData.activeBlocks.filter(
             block => block.startTime <= now && !activatedBlockIds.has(block.id)
@@ -2039,6 +2613,42 @@ function formatDuration(minutes) {
     return `${hours}h ${mins}m`;
 }
 
+// Describe attempt counts, most-tried sites first, e.g. "3 attempts: x.com (2), reddit.com (1)"
+function formatAttempts(attempts, maxDomains = 3) {
+    const entries = Object.entries(attempts).sort((a, b) => b[1] - a[1]);
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) {
+        return 'No attempts';
+    }
+
+    const shown = entries.slice(0, maxDomains).map(([domain, count]) => `${domain} (${count})`);
+    if (entries.length > maxDomains) {
+        shown.push('...');
+    }
+    return `${total} attempt${total !== 1 ? 's' : ''}: ${shown.join(', ')}`;
+}
+
+// Describe a recurring schedule, e.g. "Weekdays 09:00–17:00"
+function formatSchedule(schedule) {
+    const days = [...schedule.days].sort().join(',');
+    let dayText;
+
+    if (schedule.days.length === 7) {
+        dayText = 'every day';
+    } else if (days === '1,2,3,4,5') {
+        dayText = 'weekdays';
+    } else if (days === '0,6') {
+        dayText = 'weekends';
+    } else {
+        dayText = [1, 2, 3, 4, 5, 6, 0]
+            .filter(day => schedule.days.includes(day))
+            .map(day => dayNames[day].slice(0, 3))
+            .join(', ');
+    }
+
+    return `${dayText} ${schedule.start}–${schedule.end}`;
+}
+
 function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;